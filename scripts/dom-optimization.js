@@ -190,6 +190,7 @@ class DOMMutationObserver {
     constructor() {
         this.observer = null;
         this.mutations = [];
+        this.listeners = new Set();
         this.init();
     }
     
@@ -202,6 +203,7 @@ class DOMMutationObserver {
                 mutations.forEach(mutation => {
                     this.recordMutation(mutation);
                 });
+                this.listeners.forEach(listener => listener(mutations));
             });
             
             // Observe document body
@@ -233,6 +235,16 @@ class DOMMutationObserver {
         }
     }
     
+    /**
+     * Receive raw mutation records as they are observed
+     * @param {Function} listener - Called with each batch of MutationRecords
+     * @returns {Function} Removes the listener
+     */
+    addListener(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+    
     /**
      * Get mutation statistics
      * @returns {Object} Mutation statistics
@@ -266,6 +278,507 @@ class DOMMutationObserver {
     }
 }
 
+/**
+ * Memory Leak Detector
+ * Watches subtrees removed from the page and idle-time heap samples for signs of leaks
+ */
+class MemoryLeakDetector {
+    /**
+     * @param {DOMMutationObserver} mutationObserver - Source of removed nodes
+     * @param {Object} options - Detector options
+     * @param {number} options.retainedAfter - A detached subtree still alive after this long counts as
+     *     not yet collected, in ms
+     * @param {number} options.minRetained - Uncollected subtrees before a component is listed
+     * @param {number} options.maxTracked - Oldest detached subtrees stop being tracked beyond this
+     * @param {number} options.idleThreshold - Time without input before a heap sample counts as idle, in ms
+     * @param {number} options.growthSamples - Consecutive growing idle samples that flag a leak
+     * @param {number} options.minGrowth - Total growth over those samples that flags a leak, in MB
+     */
+    constructor(mutationObserver, options = {}) {
+        this.mutationObserver = mutationObserver;
+        this.retainedAfter = options.retainedAfter ?? 30000;
+        this.minRetained = options.minRetained || 5;
+        this.maxTracked = options.maxTracked || 500;
+        this.idleThreshold = options.idleThreshold ?? 5000;
+        this.growthSamples = options.growthSamples || 5;
+        this.minGrowth = options.minGrowth ?? 1;
+        
+        // Weak references only: tracking a detached subtree must not be what keeps it alive
+        this.detached = new Map();
+        this.nextId = 1;
+        this.collected = 0;
+        this.registry = typeof FinalizationRegistry === 'function' ?
+            new FinalizationRegistry(id => {
+                if (this.detached.delete(id)) this.collected++;
+            }) : null;
+        
+        this.heapSamples = [];
+        this.heapSource = null;
+        this.heapGrowing = false;
+        this.lastInput = performance.now();
+        this.reportedSuspects = new Set();
+        this.listenerCleanups = [];
+        
+        this.init();
+    }
+    
+    /**
+     * Start watching removals and user input
+     */
+    init() {
+        if (this.registry && typeof WeakRef === 'function' && this.mutationObserver) {
+            this.listenerCleanups.push(
+                this.mutationObserver.addListener(mutations => this.trackRemovedNodes(mutations))
+            );
+        }
+        
+        const handleInput = () => {
+            this.lastInput = performance.now();
+        };
+        ['pointerdown', 'keydown', 'wheel'].forEach(type => {
+            window.addEventListener(type, handleInput, { capture: true, passive: true });
+            this.listenerCleanups.push(() => window.removeEventListener(type, handleInput, { capture: true, passive: true }));
+        });
+    }
+    
+    /**
+     * Start tracking the roots of removed subtrees
+     * @param {Array<MutationRecord>} mutations - Mutation batch
+     */
+    trackRemovedNodes(mutations) {
+        mutations.forEach(mutation => {
+            if (mutation.type !== 'childList') return;
+            
+            mutation.removedNodes.forEach(node => {
+                // Moves show up as a removal too; those nodes are already back in the page
+                if (node.nodeType !== Node.ELEMENT_NODE || node.isConnected) return;
+                
+                const id = this.nextId++;
+                const record = {
+                    ref: new WeakRef(node),
+                    component: this.getComponentName(mutation.target),
+                    element: this.describeElement(node),
+                    nodes: 1 + node.getElementsByTagName('*').length,
+                    removedAt: performance.now()
+                };
+                this.detached.set(id, record);
+                this.registry.register(node, id, record);
+                
+                if (this.detached.size > this.maxTracked) {
+                    const [oldestId, oldest] = this.detached.entries().next().value;
+                    this.registry.unregister(oldest);
+                    this.detached.delete(oldestId);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Name the component a subtree was removed from
+     * @param {Node} parent - Node the subtree was removed from
+     * @returns {string} data-component, id or section class of the nearest owner
+     */
+    getComponentName(parent) {
+        const owner = parent.closest?.('[data-component], [id], section');
+        if (!owner) return this.describeElement(parent) || 'unknown';
+        
+        return owner.dataset.component || owner.id ||
+            (typeof owner.className === 'string' && owner.className.trim().split(/\s+/)[0]) ||
+            owner.tagName.toLowerCase();
+    }
+    
+    /**
+     * Describe an element as tag#id or tag.class
+     * @param {Element} element - Element
+     * @returns {string|null} Description
+     */
+    describeElement(element) {
+        if (!element || !element.tagName) return null;
+        
+        let description = element.tagName.toLowerCase();
+        if (element.id) {
+            description += `#${element.id}`;
+        } else if (typeof element.className === 'string' && element.className.trim()) {
+            description += `.${element.className.trim().split(/\s+/).join('.')}`;
+        }
+        return description;
+    }
+    
+    /**
+     * Take an idle heap sample and report new suspects
+     * @returns {Promise<Object>} Leak report
+     */
+    check() {
+        return this.sampleHeap()
+            .catch(error => {
+                console.warn('⚠️ Heap sample failed:', error);
+            })
+            .then(() => {
+                const report = this.getReport();
+                const newSuspects = report.suspects.filter(suspect => !this.reportedSuspects.has(suspect.name));
+                
+                if (newSuspects.length > 0 || (report.heap.growing && !this.heapGrowing)) {
+                    console.warn('🚨 Possible memory leak:', {
+                        components: newSuspects.map(suspect => suspect.name),
+                        heapGrowth: report.heap.growing ? `${report.heap.growth}MB` : null
+                    });
+                    window.performanceMonitor?.notify('memoryLeak', report);
+                }
+                
+                newSuspects.forEach(suspect => this.reportedSuspects.add(suspect.name));
+                this.heapGrowing = report.heap.growing;
+                return report;
+            });
+    }
+    
+    /**
+     * Record the heap size once the page is idle; busy periods are skipped
+     * @returns {Promise} Resolves once the sample was taken or skipped
+     */
+    sampleHeap() {
+        if (this.sampling) return this.sampling;
+        
+        const measureMemory = window.PerformanceUtils?.measureMemory || (() => Promise.resolve(null));
+        const whenIdle = (callback) => window.requestIdleCallback ?
+            requestIdleCallback(callback, { timeout: 2000 }) : setTimeout(callback, 0);
+        
+        this.sampling = new Promise(resolve => whenIdle(resolve))
+            .then(() => {
+                // Heap size mid-interaction says little; compare quiet periods with each other
+                if (performance.now() - this.lastInput < this.idleThreshold) return null;
+                return measureMemory();
+            })
+            .then(sample => {
+                if (!sample) return;
+                
+                this.heapSource = sample.source;
+                this.heapSamples.push({ time: Date.now(), used: sample.used });
+                if (this.heapSamples.length > this.growthSamples) {
+                    this.heapSamples.shift();
+                }
+            })
+            .finally(() => {
+                this.sampling = null;
+            });
+        
+        return this.sampling;
+    }
+    
+    /**
+     * Whether every idle sample in the window grew and the total growth is significant
+     * @returns {boolean} Heap is growing monotonically
+     */
+    isHeapGrowing() {
+        if (this.heapSamples.length < this.growthSamples) return false;
+        
+        const monotonic = this.heapSamples.every((sample, i) => i === 0 || sample.used > this.heapSamples[i - 1].used);
+        return monotonic && this.getHeapGrowth() >= this.minGrowth;
+    }
+    
+    /**
+     * Growth across the idle samples
+     * @returns {number} MB
+     */
+    getHeapGrowth() {
+        if (this.heapSamples.length < 2) return 0;
+        const growth = this.heapSamples[this.heapSamples.length - 1].used - this.heapSamples[0].used;
+        return Math.round(growth * 100) / 100;
+    }
+    
+    /**
+     * Summarize heap trend and detached subtrees not yet collected per component
+     * @returns {Object} { heap, detached, notYetCollected, suspects }
+     */
+    getReport() {
+        const now = performance.now();
+        const components = new Map();
+        
+        this.detached.forEach((record, id) => {
+            const node = record.ref.deref();
+            if (!node || node.isConnected) {
+                // Collected before the registry noticed, or re-inserted into the page
+                if (node) this.registry.unregister(record);
+                this.detached.delete(id);
+                return;
+            }
+            if (now - record.removedAt < this.retainedAfter) return;
+            
+            const component = components.get(record.component) ||
+                { name: record.component, detachedSubtrees: 0, nodes: 0, oldestAge: 0, elements: new Set() };
+            component.detachedSubtrees++;
+            component.nodes += record.nodes;
+            component.oldestAge = Math.max(component.oldestAge, Math.round(now - record.removedAt));
+            component.elements.add(record.element);
+            components.set(record.component, component);
+        });
+        
+        const latest = this.heapSamples[this.heapSamples.length - 1];
+        const growing = this.isHeapGrowing();
+        const notYetCollected = Array.from(components.values())
+            .filter(component => component.detachedSubtrees >= this.minRetained)
+            .map(component => ({ ...component, elements: Array.from(component.elements).slice(0, 5) }))
+            .sort((a, b) => b.nodes - a.nodes);
+        
+        return {
+            heap: {
+                source: this.heapSource,
+                used: latest ? latest.used : null,
+                samples: this.heapSamples.slice(),
+                growth: this.getHeapGrowth(),
+                growing
+            },
+            detached: {
+                tracked: this.detached.size,
+                collected: this.collected
+            },
+            notYetCollected,
+            // GC may simply not have run yet; only a growing heap turns uncollected subtrees into suspects
+            suspects: growing ? notYetCollected : []
+        };
+    }
+    
+    /**
+     * Stop watching
+     */
+    cleanup() {
+        this.listenerCleanups.forEach(removeListener => removeListener());
+        this.listenerCleanups = [];
+    }
+}
+
+/**
+ * Layout Thrash Detector
+ * Opt-in instrumentation that flags layout reads following DOM or style writes in the same task
+ */
+class LayoutThrashDetector {
+    /**
+     * @param {Object} options - Detector options
+     * @param {number} options.threshold - Forced layouts in one task that count as thrashing
+     * @param {number} options.maxRecords - Forced layout records kept for inspection
+     */
+    constructor(options = {}) {
+        this.threshold = options.threshold || 3;
+        this.maxRecords = options.maxRecords || 100;
+        
+        this.installed = false;
+        this.patches = [];
+        this.writeObserver = null;
+        this.reading = false;
+        
+        this.reset();
+    }
+    
+    /**
+     * Clear collected forced layouts and thrash episodes
+     */
+    reset() {
+        this.forcedLayouts = 0;
+        this.byProperty = {};
+        this.records = [];
+        this.episodes = [];
+        this.taskForcedLayouts = 0;
+        this.taskRecords = [];
+        this.taskEndScheduled = false;
+    }
+    
+    /**
+     * Start instrumenting layout reads
+     */
+    install() {
+        if (this.installed || !('MutationObserver' in window)) return;
+        
+        // Pending mutation records are exactly the writes the browser has not laid out yet
+        this.writeObserver = new MutationObserver(() => {});
+        this.writeObserver.observe(document.documentElement, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            characterData: true
+        });
+        
+        const layoutGetters = {
+            offsetTop: HTMLElement.prototype,
+            offsetLeft: HTMLElement.prototype,
+            offsetWidth: HTMLElement.prototype,
+            offsetHeight: HTMLElement.prototype,
+            offsetParent: HTMLElement.prototype,
+            clientTop: Element.prototype,
+            clientLeft: Element.prototype,
+            clientWidth: Element.prototype,
+            clientHeight: Element.prototype,
+            scrollTop: Element.prototype,
+            scrollLeft: Element.prototype,
+            scrollWidth: Element.prototype,
+            scrollHeight: Element.prototype
+        };
+        Object.entries(layoutGetters).forEach(([name, proto]) => {
+            this.patchGetter(proto, name);
+        });
+        
+        ['getBoundingClientRect', 'getClientRects'].forEach(name => {
+            this.patchMethod(Element.prototype, name);
+        });
+        this.patchMethod(window, 'getComputedStyle');
+        
+        this.installed = true;
+    }
+    
+    /**
+     * Restore every patched property and stop observing writes
+     */
+    uninstall() {
+        if (!this.installed) return;
+        
+        // Restore in reverse so a property patched twice ends up with its original
+        this.patches.reverse().forEach(({ target, name, descriptor }) => {
+            Object.defineProperty(target, name, descriptor);
+        });
+        this.patches = [];
+        
+        this.writeObserver.disconnect();
+        this.writeObserver = null;
+        this.installed = false;
+    }
+    
+    /**
+     * Wrap a layout-reading getter
+     * @param {Object} target - Prototype defining the getter
+     * @param {string} name - Property name
+     */
+    patchGetter(target, name) {
+        const descriptor = Object.getOwnPropertyDescriptor(target, name);
+        if (!descriptor || !descriptor.get) return;
+        
+        const detector = this;
+        this.patches.push({ target, name, descriptor });
+        Object.defineProperty(target, name, {
+            ...descriptor,
+            get() {
+                detector.handleLayoutRead(name, this);
+                return descriptor.get.call(this);
+            }
+        });
+    }
+    
+    /**
+     * Wrap a layout-reading method
+     * @param {Object} target - Object or prototype defining the method
+     * @param {string} name - Method name
+     */
+    patchMethod(target, name) {
+        const descriptor = Object.getOwnPropertyDescriptor(target, name);
+        if (!descriptor || typeof descriptor.value !== 'function') return;
+        
+        const detector = this;
+        const original = descriptor.value;
+        this.patches.push({ target, name, descriptor });
+        Object.defineProperty(target, name, {
+            ...descriptor,
+            value: function(...args) {
+                detector.handleLayoutRead(name, target === window ? args[0] : this);
+                return original.apply(this, args);
+            }
+        });
+    }
+    
+    /**
+     * Record a forced synchronous layout when a read follows unflushed writes
+     * @param {string} property - Property or method that was read
+     * @param {Element} element - Element being measured
+     */
+    handleLayoutRead(property, element) {
+        if (this.reading || !this.writeObserver) return;
+        
+        const writes = this.writeObserver.takeRecords().length;
+        if (writes === 0) return;
+        
+        this.reading = true;
+        try {
+            this.forcedLayouts++;
+            this.taskForcedLayouts++;
+            this.byProperty[property] = (this.byProperty[property] || 0) + 1;
+            
+            const record = {
+                property,
+                element: element?.tagName ?
+                    `${element.tagName.toLowerCase()}${element.id ? `#${element.id}` : ''}` : null,
+                writes,
+                timestamp: performance.now(),
+                stack: this.captureStack()
+            };
+            
+            this.records.push(record);
+            if (this.records.length > this.maxRecords) {
+                this.records.shift();
+            }
+            if (this.taskRecords.length < 5) {
+                this.taskRecords.push(record);
+            }
+            
+            // The task is over once a fresh macrotask gets to run
+            if (!this.taskEndScheduled) {
+                this.taskEndScheduled = true;
+                setTimeout(() => this.endTask(), 0);
+            }
+        } finally {
+            this.reading = false;
+        }
+    }
+    
+    /**
+     * Get the caller's stack without the detector's own frames
+     * @returns {string} Stack trace
+     */
+    captureStack() {
+        // Skip the message line, captureStack, handleLayoutRead and the patched getter or method
+        const stack = new Error().stack || '';
+        return stack.split('\n')
+            .slice(4, 12)
+            .map(line => line.trim())
+            .join('\n');
+    }
+    
+    /**
+     * Close the current task and report it if it forced layout repeatedly
+     */
+    endTask() {
+        if (this.taskForcedLayouts >= this.threshold) {
+            const episode = {
+                forcedLayouts: this.taskForcedLayouts,
+                properties: [...new Set(this.taskRecords.map(record => record.property))],
+                stack: this.taskRecords[0]?.stack || '',
+                timestamp: this.taskRecords[0]?.timestamp || performance.now()
+            };
+            
+            this.episodes.push(episode);
+            if (this.episodes.length > 20) {
+                this.episodes.shift();
+            }
+            
+            console.warn('Layout thrashing detected:', episode.forcedLayouts, 'forced layouts in one task', episode);
+            window.performanceMonitor.notify('layoutThrashing', episode.forcedLayouts);
+        }
+        
+        this.taskForcedLayouts = 0;
+        this.taskRecords = [];
+        this.taskEndScheduled = false;
+    }
+    
+    /**
+     * Get forced layout statistics
+     * @returns {Object} Totals, counts by property, thrash episodes and recent records
+     */
+    getStats() {
+        return {
+            installed: this.installed,
+            forcedLayouts: this.forcedLayouts,
+            byProperty: { ...this.byProperty },
+            thrashEpisodes: this.episodes.slice(),
+            recent: this.records.slice(-10)
+        };
+    }
+}
+
 /**
  * DOM Performance Analyzer
  * Analyzes DOM performance and provides recommendations
@@ -317,19 +830,14 @@ class DOMPerformanceAnalyzer {
      * Monitor DOM performance
      */
     monitorPerformance() {
-        // Monitor reflows
-        let reflowCount = 0;
-        const originalGetComputedStyle = window.getComputedStyle;
-        
-        window.getComputedStyle = function(element, pseudoElement) {
-            reflowCount++;
-            return originalGetComputedStyle.call(this, element, pseudoElement);
-        };
+        // Forced reflows come from the layout thrash detector, when it is installed
+        let lastForcedLayouts = 0;
         
         // Reset counter every second
         setInterval(() => {
-            this.metrics.reflows = reflowCount;
-            reflowCount = 0;
+            const forcedLayouts = window.layoutThrashDetector?.forcedLayouts || 0;
+            this.metrics.reflows = Math.max(0, forcedLayouts - lastForcedLayouts);
+            lastForcedLayouts = forcedLayouts;
             
             if (this.metrics.reflows > 100) {
                 console.warn('High reflow count detected:', this.metrics.reflows);
@@ -455,7 +963,14 @@ class DOMQueryCache {
 document.addEventListener('DOMContentLoaded', () => {
     window.domOptimizer = new DOMOptimizer();
     window.domMutationObserver = new DOMMutationObserver();
+    window.memoryLeakDetector = new MemoryLeakDetector(window.domMutationObserver);
     window.domPerformanceAnalyzer = new DOMPerformanceAnalyzer();
+    
+    // Instrumentation is opt-in: call install(), or add ?layout-debug to the URL
+    window.layoutThrashDetector = window.layoutThrashDetector || new LayoutThrashDetector();
+    if (new URLSearchParams(window.location.search).has('layout-debug')) {
+        window.layoutThrashDetector.install();
+    }
     window.domQueryCache = new DOMQueryCache();
 });
 
@@ -464,4 +979,10 @@ window.addEventListener('beforeunload', () => {
     if (window.domMutationObserver) {
         window.domMutationObserver.cleanup();
     }
+    if (window.memoryLeakDetector) {
+        window.memoryLeakDetector.cleanup();
+    }
+    if (window.layoutThrashDetector) {
+        window.layoutThrashDetector.uninstall();
+    }
 }); 
\ No newline at end of file
@@ -180,7 +180,7 @@ class LazyLoader {
                 const observer = new IntersectionObserver((entries) => {
                     entries.forEach(entry => {
                         if (entry.isIntersecting) {
-                            callback(entry.target);
+                            callback(entry.target, entry);
                             observer.unobserve(entry.target);
                         }
                     });
@@ -191,8 +191,11 @@ class LazyLoader {
             return null;
         });
         
-        const observer = createIntersectionObserver(imageItem, (target) => {
-            this.loadImage(img, placeholder);
+        const measurePerformance = window.PerformanceUtils?.measurePerformance || ((name, fn) => fn());
+        const observer = createIntersectionObserver(imageItem, (target, entry) => {
+            // Failures are already shown in the placeholder; the rejection only feeds the error count
+            measurePerformance('Lazy Image Load', () => this.loadImage(img, placeholder, entry ? entry.time : performance.now()))
+                .catch(() => {});
         }, {
             rootMargin: '50px', // Start loading 50px before image is visible
             threshold: 0.1
@@ -205,47 +208,62 @@ class LazyLoader {
      * Load image with error handling
      * @param {Element} img - Image element
      * @param {Element} placeholder - Placeholder element
+     * @param {number} intersectionTime - When the image scrolled into range (performance.now() timeline)
+     * @returns {Promise} Resolves once the image is shown, rejects if it failed to load
      */
-    loadImage(img, placeholder) {
+    loadImage(img, placeholder, intersectionTime = performance.now()) {
         const imageUrl = img.getAttribute('data-src');
         
-        if (!imageUrl) return;
+        if (!imageUrl) return Promise.resolve();
         
-        // Create new image for preloading
-        const tempImg = new Image();
+        const resourceTiming = window.resourceTimingCollector;
+        resourceTiming?.trackRequest(imageUrl, { label: img.alt, intersectionTime });
         
-        tempImg.onload = () => {
-            // Use requestAnimationFrame for smooth transition
-            const requestAnimationFramePolyfill = window.PerformanceUtils?.requestAnimationFramePolyfill || requestAnimationFrame;
-            requestAnimationFramePolyfill(() => {
-                img.src = imageUrl;
+        return new Promise((resolve, reject) => {
+            // Create new image for preloading
+            const tempImg = new Image();
+            
+            tempImg.onload = () => {
+                resourceTiming?.trackLoad(imageUrl);
+                
+                // Use requestAnimationFrame for smooth transition
+                const requestAnimationFramePolyfill = window.PerformanceUtils?.requestAnimationFramePolyfill || requestAnimationFrame;
+                requestAnimationFramePolyfill(() => {
+                    img.setAttribute('elementtiming', `lazy-image:${imageUrl}`);
+                    img.src = imageUrl;
+                    img.classList.add('loaded');
+                    resourceTiming?.trackPaint(imageUrl, img);
+                    
+                    // Remove placeholder with fade out
+                    if (placeholder) {
+                        placeholder.style.opacity = '0';
+                        setTimeout(() => {
+                            if (placeholder.parentNode) {
+                                placeholder.parentNode.removeChild(placeholder);
+                            }
+                        }, 300);
+                    }
+                    resolve();
+                });
+            };
+            
+            tempImg.onerror = () => {
+                resourceTiming?.trackLoad(imageUrl, { error: true });
+                
+                // Handle loading error
+                img.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjMwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZjhmOWZhIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCwgc2Fucy1zZXJpZiIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzZjNzU3ZCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPkltYWdlIG5vdCBhdmFpbGFibGU8L3RleHQ+PC9zdmc+';
                 img.classList.add('loaded');
                 
-                // Remove placeholder with fade out
                 if (placeholder) {
-                    placeholder.style.opacity = '0';
-                    setTimeout(() => {
-                        if (placeholder.parentNode) {
-                            placeholder.parentNode.removeChild(placeholder);
-                        }
-                    }, 300);
+                    placeholder.textContent = 'Error loading image';
+                    placeholder.style.color = '#dc3545';
                 }
-            });
-        };
-        
-        tempImg.onerror = () => {
-            // Handle loading error
-            img.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjMwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZjhmOWZhIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCwgc2Fucy1zZXJpZiIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzZjNzU3ZCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPkltYWdlIG5vdCBhdmFpbGFibGU8L3RleHQ+PC9zdmc+';
-            img.classList.add('loaded');
+                reject(new Error(`Failed to load ${imageUrl}`));
+            };
             
-            if (placeholder) {
-                placeholder.textContent = 'Error loading image';
-                placeholder.style.color = '#dc3545';
-            }
-        };
-        
-        // Start loading
-        tempImg.src = imageUrl;
+            // Start loading
+            tempImg.src = imageUrl;
+        });
     }
     
     /**
@@ -273,6 +291,258 @@ class LazyLoader {
     }
 }
 
+/**
+ * Resource Timing Collector
+ * Matches PerformanceResourceTiming entries to lazily loaded images and builds a waterfall
+ */
+class ResourceTimingCollector {
+    /**
+     * @param {Object} options - Collector options
+     * @param {number} options.maxRecords - Oldest images are dropped beyond this
+     */
+    constructor(options = {}) {
+        this.maxRecords = options.maxRecords || 200;
+        this.records = new Map();
+        this.observers = [];
+        this.init();
+    }
+    
+    /**
+     * Observe resource entries and image paints
+     */
+    init() {
+        if (!('PerformanceObserver' in window)) return;
+        
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        const observe = (type, handler) => {
+            if (!supported.includes(type)) return;
+            
+            const observer = new PerformanceObserver(list => list.getEntries().forEach(handler));
+            observer.observe({ type, buffered: true });
+            this.observers.push(observer);
+        };
+        
+        observe('resource', entry => this.recordResource(entry));
+        observe('element', entry => this.recordElementPaint(entry));
+    }
+    
+    /**
+     * Resolve a URL the way resource entries name it
+     * @param {string} url - Image URL
+     * @returns {string} Absolute URL
+     */
+    normalizeUrl(url) {
+        try {
+            return new URL(url, window.location.href).href;
+        } catch (error) {
+            return url;
+        }
+    }
+    
+    /**
+     * Note that the lazy loader requested an image
+     * @param {string} url - Image URL
+     * @param {Object} details - { label, intersectionTime }
+     */
+    trackRequest(url, { label = null, intersectionTime = performance.now() } = {}) {
+        const key = this.normalizeUrl(url);
+        
+        this.records.set(key, {
+            url: key,
+            label,
+            intersectionTime,
+            requestTime: performance.now(),
+            loadTime: null,
+            paintTime: null,
+            status: 'pending',
+            entry: null
+        });
+        if (this.records.size > this.maxRecords) {
+            this.records.delete(this.records.keys().next().value);
+        }
+        
+        // The fetch may already be over (cache hit) by the time the observer runs
+        performance.getEntriesByName?.(key, 'resource').forEach(entry => this.recordResource(entry));
+    }
+    
+    /**
+     * Note that an image finished loading
+     * @param {string} url - Image URL
+     * @param {Object} details - { error }
+     */
+    trackLoad(url, { error = false } = {}) {
+        const record = this.records.get(this.normalizeUrl(url));
+        if (!record) return;
+        
+        record.loadTime = performance.now();
+        record.status = error ? 'error' : 'loaded';
+    }
+    
+    /**
+     * Note that an image was handed to the page; paint is taken as the frame after decoding
+     * @param {string} url - Image URL
+     * @param {HTMLImageElement} img - Image element shown to the user
+     */
+    trackPaint(url, img) {
+        const record = this.records.get(this.normalizeUrl(url));
+        if (!record) return;
+        
+        const decoded = img.decode ? img.decode().catch(() => {}) : Promise.resolve();
+        decoded.then(() => {
+            requestAnimationFrame(() => {
+                // Element Timing reports the real render time, when it is allowed to
+                if (record.paintTime === null) {
+                    record.paintTime = performance.now();
+                }
+            });
+        });
+    }
+    
+    /**
+     * Match a resource entry to a tracked image
+     * @param {PerformanceResourceTiming} entry - Resource entry
+     */
+    recordResource(entry) {
+        const record = this.records.get(entry.name);
+        
+        // The first fetch is the one that counts; the on-page <img> reuses its response
+        if (record && !record.entry && entry.startTime >= record.intersectionTime) {
+            record.entry = entry;
+        }
+    }
+    
+    /**
+     * Take the render time of a lazy image from Element Timing
+     * @param {PerformanceElementTiming} entry - Element entry
+     */
+    recordElementPaint(entry) {
+        if (!entry.identifier || !entry.identifier.startsWith('lazy-image:')) return;
+        
+        const record = this.records.get(this.normalizeUrl(entry.identifier.slice('lazy-image:'.length)));
+        
+        // Cross-origin images without Timing-Allow-Origin report a renderTime of 0
+        if (record && entry.renderTime > 0) {
+            record.paintTime = entry.renderTime;
+        }
+    }
+    
+    /**
+     * Break a resource entry into network phases
+     * @param {PerformanceResourceTiming} entry - Resource entry
+     * @returns {Object} Phases in ms, sizes in bytes and the cache verdict
+     */
+    getPhases(entry) {
+        const round = (value) => Math.max(0, Math.round(value * 10) / 10);
+        
+        // Cross-origin responses without Timing-Allow-Origin hide everything but start and end
+        const restricted = entry.requestStart === 0;
+        
+        let cache = 'network';
+        if (restricted) {
+            cache = 'unknown';
+        } else if (entry.deliveryType === 'cache' || (entry.transferSize === 0 && entry.decodedBodySize > 0)) {
+            cache = 'hit';
+        } else if (entry.transferSize > 0 && entry.transferSize < entry.encodedBodySize) {
+            cache = 'revalidated';
+        }
+        
+        return {
+            restricted,
+            cache,
+            redirect: round(entry.redirectEnd - entry.redirectStart),
+            dns: round(entry.domainLookupEnd - entry.domainLookupStart),
+            connect: round(entry.connectEnd - entry.connectStart),
+            tls: entry.secureConnectionStart > 0 ? round(entry.connectEnd - entry.secureConnectionStart) : 0,
+            ttfb: restricted ? null : round(entry.responseStart - entry.requestStart),
+            download: restricted ? null : round(entry.responseEnd - entry.responseStart),
+            total: round(entry.duration),
+            transferSize: entry.transferSize || 0,
+            encodedSize: entry.encodedBodySize || 0,
+            decodedSize: entry.decodedBodySize || 0
+        };
+    }
+    
+    /**
+     * Lay out an image's life from intersection to paint as consecutive spans
+     * @param {Object} record - Tracked image
+     * @returns {Array} Spans { name, start, duration }
+     */
+    getTimeline(record) {
+        const entry = record.entry;
+        const spans = [];
+        const add = (name, start, end) => {
+            if (start > 0 && end > start) {
+                spans.push({ name, start: Math.round(start * 10) / 10, duration: Math.round((end - start) * 10) / 10 });
+            }
+        };
+        
+        const fetchStart = entry ? entry.startTime : record.requestTime;
+        const fetchEnd = entry ? entry.responseEnd : record.loadTime;
+        add('Queued', record.intersectionTime, fetchStart);
+        
+        if (entry && entry.requestStart > 0) {
+            add('Redirect', entry.redirectStart, entry.redirectEnd);
+            add('DNS', entry.domainLookupStart, entry.domainLookupEnd);
+            add('Connect', entry.connectStart, entry.connectEnd);
+            add('Request', entry.requestStart, entry.responseStart);
+            add('Download', entry.responseStart, entry.responseEnd);
+        } else {
+            add('Fetch', fetchStart, fetchEnd);
+        }
+        
+        if (record.paintTime !== null && fetchEnd) {
+            add('Decode & paint', fetchEnd, record.paintTime);
+        }
+        return spans;
+    }
+    
+    /**
+     * Build the waterfall of tracked images, in request order
+     * @returns {Object} { images, summary }
+     */
+    getWaterfall() {
+        const round = (value) => value === null ? null : Math.round(value * 10) / 10;
+        
+        const images = Array.from(this.records.values()).map(record => ({
+            url: record.url,
+            label: record.label,
+            status: record.status,
+            intersectionTime: round(record.intersectionTime),
+            startTime: record.entry ? round(record.entry.startTime) : round(record.requestTime),
+            responseEnd: record.entry ? round(record.entry.responseEnd) : round(record.loadTime),
+            paintTime: round(record.paintTime),
+            intersectionToRequest: round((record.entry ? record.entry.startTime : record.requestTime) - record.intersectionTime),
+            intersectionToPaint: record.paintTime !== null ? round(record.paintTime - record.intersectionTime) : null,
+            timeline: this.getTimeline(record),
+            ...(record.entry ? this.getPhases(record.entry) : { cache: 'unknown', restricted: true })
+        })).sort((a, b) => a.startTime - b.startTime);
+        
+        const painted = images.filter(image => image.intersectionToPaint !== null);
+        const withSizes = images.filter(image => !image.restricted);
+        
+        return {
+            images,
+            summary: {
+                images: images.length,
+                cacheHits: images.filter(image => image.cache === 'hit').length,
+                errors: images.filter(image => image.status === 'error').length,
+                transferSize: withSizes.reduce((sum, image) => sum + image.transferSize, 0),
+                decodedSize: withSizes.reduce((sum, image) => sum + image.decodedSize, 0),
+                averageIntersectionToPaint: painted.length > 0 ?
+                    Math.round(painted.reduce((sum, image) => sum + image.intersectionToPaint, 0) / painted.length) : null
+            }
+        };
+    }
+    
+    /**
+     * Stop observing
+     */
+    cleanup() {
+        this.observers.forEach(observer => observer.disconnect());
+        this.observers = [];
+    }
+}
+
 /**
  * Progressive Image Loading
  * Loads low-quality placeholder first, then high-quality image
@@ -389,6 +659,8 @@ class ImageOptimizationManager {
 
 // Initialize lazy loading when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
+    // Created first so the initial images are tracked too
+    window.resourceTimingCollector = new ResourceTimingCollector();
     window.lazyLoader = new LazyLoader();
     window.progressiveImageLoader = new ProgressiveImageLoader();
     window.imageOptimizationManager = new ImageOptimizationManager();
@@ -399,4 +671,7 @@ window.addEventListener('beforeunload', () => {
     if (window.lazyLoader) {
         window.lazyLoader.cleanup();
     }
+    if (window.resourceTimingCollector) {
+        window.resourceTimingCollector.cleanup();
+    }
 }); 
\ No newline at end of file
@@ -3,6 +3,333 @@
  * Initializes all performance optimization components
  */
 
+// Sparklines shown by the metrics dashboard and the budget each one is drawn against
+const DASHBOARD_METRICS = [
+    { key: 'fps', label: 'FPS', unit: '', budget: 'fps', color: '#28a745' },
+    { key: 'frameTime', label: 'Frame p95', unit: 'ms', budget: 'frameTime', color: '#17a2b8' },
+    { key: 'memory', label: 'Memory', unit: 'MB', budget: 'memory', color: '#667eea' },
+    { key: 'domNodes', label: 'DOM nodes', unit: '', budget: 'domNodes', color: '#fd7e14' },
+    { key: 'longTasks', label: 'Long tasks', unit: '/s', budget: null, color: '#dc3545' }
+];
+
+const DASHBOARD_STATUS_COLORS = { pass: '#ffffff', warn: '#ffc107', error: '#ff6b6b' };
+
+/**
+ * Metrics Dashboard
+ * Draggable, collapsible overlay that draws live sparklines on a canvas
+ */
+class MetricsDashboard {
+    /**
+     * @param {Object} options - Dashboard options
+     * @param {number} options.timeWindow - History shown in the sparklines, in ms
+     * @param {number} options.interval - Sampling interval, in ms
+     * @param {string} options.storageKey - localStorage key for position and visibility
+     */
+    constructor(options = {}) {
+        this.timeWindow = options.timeWindow || 3 * 60 * 1000;
+        this.interval = options.interval || 1000;
+        this.storageKey = options.storageKey || 'performance-dashboard';
+        
+        // Fixed canvas geometry in CSS pixels
+        this.width = 240;
+        this.rowHeight = 40;
+        this.footerHeight = 20;
+        
+        this.history = new MetricsTimeSeries({
+            tiers: [{ resolution: this.interval, capacity: Math.ceil(this.timeWindow / this.interval) }]
+        });
+        this.state = { visible: true, collapsed: false, x: 0, y: 0, ...this.loadState() };
+        this.listenerCleanups = [];
+        
+        const tracker = window.performanceTracker;
+        this.lastFrameTotal = tracker ? tracker.frameTotal : 0;
+        this.lastLongFrameCount = tracker ? tracker.longFrameCount : 0;
+        
+        this.createElements();
+        this.setupEventListeners();
+        this.sampleTimer = setInterval(() => this.tick(), this.interval);
+    }
+    
+    /**
+     * Build the overlay; the canvas is sized once so ticks never touch layout
+     */
+    createElements() {
+        this.root = document.createElement('div');
+        this.root.className = 'performance-panel metrics-dashboard';
+        this.root.hidden = !this.state.visible;
+        
+        this.header = document.createElement('div');
+        this.header.className = 'metrics-dashboard-header';
+        this.header.title = 'Drag to move, Alt+Shift+P to hide';
+        
+        const title = document.createElement('span');
+        title.textContent = 'Performance Monitor';
+        
+        this.collapseButton = document.createElement('button');
+        this.collapseButton.type = 'button';
+        this.collapseButton.className = 'metrics-dashboard-toggle';
+        
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'metrics-dashboard-canvas';
+        const height = DASHBOARD_METRICS.length * this.rowHeight + this.footerHeight;
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = this.width * ratio;
+        this.canvas.height = height * ratio;
+        this.canvas.style.width = `${this.width}px`;
+        this.canvas.style.height = `${height}px`;
+        
+        this.context = this.canvas.getContext('2d');
+        if (this.context) {
+            this.context.scale(ratio, ratio);
+        }
+        
+        this.header.appendChild(title);
+        this.header.appendChild(this.collapseButton);
+        this.root.appendChild(this.header);
+        this.root.appendChild(this.canvas);
+        document.body.appendChild(this.root);
+        
+        this.applyState();
+    }
+    
+    /**
+     * Wire dragging, collapsing and the toggle hotkey
+     */
+    setupEventListeners() {
+        const addEventListenerWithCleanup = window.PerformanceUtils?.addEventListenerWithCleanup ||
+            ((element, event, handler, options) => {
+                element.addEventListener(event, handler, options);
+                return () => element.removeEventListener(event, handler, options);
+            });
+        
+        let drag = null;
+        
+        this.listenerCleanups.push(
+            addEventListenerWithCleanup(this.header, 'pointerdown', (e) => {
+                if (e.target === this.collapseButton) return;
+                drag = { pointerId: e.pointerId, x: e.clientX - this.state.x, y: e.clientY - this.state.y };
+                this.header.setPointerCapture?.(e.pointerId);
+            }),
+            addEventListenerWithCleanup(this.header, 'pointermove', (e) => {
+                if (!drag || e.pointerId !== drag.pointerId) return;
+                this.state.x = e.clientX - drag.x;
+                this.state.y = e.clientY - drag.y;
+                this.applyState();
+            }, { passive: true }),
+            addEventListenerWithCleanup(this.header, 'pointerup', () => {
+                if (!drag) return;
+                drag = null;
+                this.saveState();
+            }, { passive: true }),
+            addEventListenerWithCleanup(this.collapseButton, 'click', () => {
+                this.setCollapsed(!this.state.collapsed);
+            }),
+            addEventListenerWithCleanup(document, 'keydown', (e) => {
+                if (e.altKey && e.shiftKey && e.code === 'KeyP') {
+                    e.preventDefault();
+                    this.toggle();
+                }
+            })
+        );
+    }
+    
+    /**
+     * Apply position, visibility and collapsed state to the overlay
+     */
+    applyState() {
+        // A transform moves the overlay without laying out the page
+        this.root.style.transform = `translate3d(${this.state.x}px, ${this.state.y}px, 0)`;
+        this.root.hidden = !this.state.visible;
+        this.canvas.hidden = this.state.collapsed;
+        this.collapseButton.textContent = this.state.collapsed ? '▸' : '▾';
+        this.collapseButton.setAttribute('aria-expanded', String(!this.state.collapsed));
+        this.collapseButton.setAttribute('aria-label', this.state.collapsed ? 'Expand dashboard' : 'Collapse dashboard');
+    }
+    
+    /**
+     * Show or hide the overlay
+     * @param {boolean} visible - Defaults to flipping the current state
+     */
+    toggle(visible = !this.state.visible) {
+        this.state.visible = visible;
+        this.applyState();
+        this.saveState();
+        this.draw();
+    }
+    
+    /**
+     * Collapse the overlay to its header
+     * @param {boolean} collapsed - Whether to collapse
+     */
+    setCollapsed(collapsed) {
+        this.state.collapsed = collapsed;
+        this.applyState();
+        this.saveState();
+        this.draw();
+    }
+    
+    /**
+     * Sample metrics and redraw when the sparklines are on screen
+     */
+    tick() {
+        if (document.hidden) return;
+        
+        try {
+            this.sample();
+            this.draw();
+        } catch (error) {
+            console.error('❌ Error updating metrics dashboard:', error);
+        }
+    }
+    
+    /**
+     * Record one sample of every dashboard metric
+     */
+    sample() {
+        const tracker = window.performanceTracker;
+        if (!tracker) return;
+        
+        // Frame time and long tasks only cover what happened since the previous sample
+        const frames = tracker.getFrameStats(this.lastFrameTotal);
+        this.lastFrameTotal = tracker.frameTotal;
+        const longTasks = tracker.longFrameCount - this.lastLongFrameCount;
+        this.lastLongFrameCount = tracker.longFrameCount;
+        
+        this.history.record({
+            fps: tracker.fps || null,
+            frameTime: frames.frames > 0 ? frames.p95 : null,
+            memory: window.PerformanceUtils?.getMemoryUsage()?.used,
+            domNodes: window.PerformanceUtils?.countDOMNodes(),
+            longTasks: longTasks * 1000 / this.interval
+        });
+    }
+    
+    /**
+     * Draw every sparkline and the web vitals footer
+     */
+    draw() {
+        const ctx = this.context;
+        if (!ctx || !this.state.visible || this.state.collapsed) return;
+        
+        const now = Date.now();
+        const section = window.performanceTracker?.getActiveSection();
+        const budgets = window.performanceBudget?.getBudgets({ section }) || {};
+        
+        ctx.clearRect(0, 0, this.width, DASHBOARD_METRICS.length * this.rowHeight + this.footerHeight);
+        ctx.font = '11px monospace';
+        ctx.textBaseline = 'top';
+        
+        DASHBOARD_METRICS.forEach((metric, index) => {
+            const points = this.history.query(metric.key, { from: now - this.timeWindow, to: now });
+            this.drawSparkline(metric, points, metric.budget ? budgets[metric.budget] : null, {
+                top: index * this.rowHeight,
+                from: now - this.timeWindow
+            });
+        });
+        
+        const vitals = window.performanceTracker?.getWebVitals() || {};
+        const format = (name, unit = '') => vitals[name] ? `${vitals[name].value}${unit}` : '-';
+        ctx.fillStyle = '#adb5bd';
+        ctx.fillText(
+            `LCP ${format('lcp', 'ms')}  CLS ${format('cls')}  INP ${format('inp', 'ms')}`,
+            4,
+            DASHBOARD_METRICS.length * this.rowHeight + 4
+        );
+    }
+    
+    /**
+     * Draw one metric row: label, latest value, sparkline and budget lines
+     * @param {Object} metric - DASHBOARD_METRICS entry
+     * @param {Array} points - History points, oldest first
+     * @param {Object|null} budget - Normalized budget { direction, warn, error }
+     * @param {Object} layout - { top, from }
+     */
+    drawSparkline(metric, points, budget, { top, from }) {
+        const ctx = this.context;
+        const chartTop = top + 15;
+        const chartHeight = this.rowHeight - 19;
+        const latest = points.length > 0 ? points[points.length - 1].avg : null;
+        
+        const status = latest !== null && budget ?
+            window.performanceBudget.evaluate(latest, budget).status : 'pass';
+        ctx.fillStyle = '#adb5bd';
+        ctx.fillText(metric.label, 4, top + 2);
+        ctx.fillStyle = DASHBOARD_STATUS_COLORS[status];
+        ctx.textAlign = 'right';
+        ctx.fillText(latest === null ? 'N/A' : `${Math.round(latest * 10) / 10}${metric.unit}`, this.width - 4, top + 2);
+        ctx.textAlign = 'left';
+        
+        // Scale to the data and the budget lines so a breach is always visible
+        const limits = budget ? [budget.warn, budget.error].filter(limit => typeof limit === 'number') : [];
+        const values = points.map(point => point.avg);
+        const low = Math.min(0, ...values, ...limits);
+        const high = Math.max(1, ...values, ...limits) * 1.1;
+        const toX = (time) => 4 + ((time - from) / this.timeWindow) * (this.width - 8);
+        const toY = (value) => chartTop + chartHeight - ((value - low) / (high - low)) * chartHeight;
+        
+        ctx.setLineDash([3, 3]);
+        ctx.lineWidth = 1;
+        [['warn', DASHBOARD_STATUS_COLORS.warn], ['error', DASHBOARD_STATUS_COLORS.error]].forEach(([level, color]) => {
+            if (!budget || typeof budget[level] !== 'number') return;
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(4, toY(budget[level]));
+            ctx.lineTo(this.width - 4, toY(budget[level]));
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+        
+        if (points.length === 0) return;
+        
+        ctx.strokeStyle = metric.color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            const x = toX(point.start);
+            const y = toY(point.avg);
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+    }
+    
+    /**
+     * Load the saved position and visibility
+     * @returns {Object} Saved state, or an empty object
+     */
+    loadState() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    /**
+     * Save the position and visibility
+     */
+    saveState() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('⚠️ Could not save dashboard state:', error);
+        }
+    }
+    
+    /**
+     * Stop sampling and remove the overlay
+     */
+    cleanup() {
+        clearInterval(this.sampleTimer);
+        this.listenerCleanups.forEach(removeListener => removeListener());
+        this.listenerCleanups = [];
+        this.root.remove();
+    }
+}
+
 class PerformanceOptimizationApp {
     constructor() {
         this.components = new Map();
@@ -157,13 +484,12 @@ class PerformanceOptimizationApp {
     createApplicationInterface() {
         try {
             console.log('🔧 Creating performance panel...');
-            // Temporarily disable panel creation to test if panels are causing the issue
-            // this.createPerformancePanel();
+            this.createPerformancePanel();
             console.log('🔧 Creating controls panel...');
-            // this.createControlsPanel();
+            this.createControlsPanel();
             console.log('🔧 Creating info panel...');
-            // this.createInfoPanel();
-            console.log('✅ All panels created successfully (disabled for testing)');
+            this.createInfoPanel();
+            console.log('✅ Application interface created');
         } catch (error) {
             console.error('❌ Error creating application interface:', error);
         }
@@ -174,37 +500,8 @@ class PerformanceOptimizationApp {
      */
     createPerformancePanel() {
         try {
-            const panel = document.createElement('div');
-            panel.className = 'performance-panel';
-            panel.style.cssText = `
-                position: fixed;
-                top: 20px;
-                right: 20px;
-                background: rgba(0, 0, 0, 0.8);
-                color: white;
-                padding: 15px;
-                border-radius: 8px;
-                font-family: monospace;
-                font-size: 12px;
-                z-index: 1000;
-                min-width: 200px;
-            `;
-            
-            panel.innerHTML = `
-                <div style="margin-bottom: 10px; font-weight: bold;">Performance Monitor</div>
-                <div id="performance-stats"></div>
-            `;
-            
-            document.body.appendChild(panel);
-            
-            // Update stats every second
-            setInterval(() => {
-                try {
-                    this.updatePerformanceStats();
-                } catch (error) {
-                    console.error('Error updating performance stats:', error);
-                }
-            }, 1000);
+            this.dashboard = new MetricsDashboard();
+            this.components.set('metricsDashboard', this.dashboard);
         } catch (error) {
             console.error('❌ Error creating performance panel:', error);
         }
@@ -231,6 +528,8 @@ class PerformanceOptimizationApp {
             panel.innerHTML = `
                 <div style="margin-bottom: 10px; font-weight: bold;">Controls</div>
                 <button id="export-data" style="margin: 5px; padding: 5px 10px; background: #667eea; color: white; border: none; border-radius: 4px; cursor: pointer;">Export Data</button>
+                <button id="export-trace" style="margin: 5px; padding: 5px 10px; background: #667eea; color: white; border: none; border-radius: 4px; cursor: pointer;">Export Trace</button>
+                <button id="export-csv" style="margin: 5px; padding: 5px 10px; background: #667eea; color: white; border: none; border-radius: 4px; cursor: pointer;">Export CSV</button>
                 <button id="clear-cache" style="margin: 5px; padding: 5px 10px; background: #dc3545; color: white; border: none; border-radius: 4px; cursor: pointer;">Clear Cache</button>
                 <button id="performance-report" style="margin: 5px; padding: 5px 10px; background: #28a745; color: white; border: none; border-radius: 4px; cursor: pointer;">Performance Report</button>
             `;
@@ -242,6 +541,14 @@ class PerformanceOptimizationApp {
                 this.exportPerformanceData();
             });
             
+            document.getElementById('export-trace')?.addEventListener('click', () => {
+                this.exportPerformanceData('trace');
+            });
+            
+            document.getElementById('export-csv')?.addEventListener('click', () => {
+                this.exportPerformanceData('csv');
+            });
+            
             document.getElementById('clear-cache')?.addEventListener('click', () => {
                 this.clearAllCaches();
             });
@@ -297,39 +604,39 @@ class PerformanceOptimizationApp {
     }
     
     /**
-     * Update performance statistics
+     * Export performance data
+     * @param {string} format - 'json' (reports), 'trace' (Chrome Trace Event format) or 'csv' (metric history)
      */
-    updatePerformanceStats() {
-        const statsElement = document.getElementById('performance-stats');
-        if (!statsElement) return;
+    exportPerformanceData(format = 'json') {
+        const reporter = window.performanceReporter;
+        if (!reporter) return;
         
-        const metrics = window.performanceTracker?.getMetrics() || {};
-        const memory = window.PerformanceUtils?.getMemoryUsage();
-        
-        statsElement.innerHTML = `
-            <div>FPS: ${metrics.fps || 0}</div>
-            <div>Memory: ${memory ? `${memory.used}MB` : 'N/A'}</div>
-            <div>DOM Nodes: ${metrics.domNodes || 0}</div>
-            <div>Time: ${new Date().toLocaleTimeString()}</div>
-        `;
+        const stamp = new Date().toISOString().slice(0, 19);
+        if (format === 'trace') {
+            this.downloadFile(reporter.exportTrace(), 'application/json', `performance-trace-${stamp}.json`);
+        } else if (format === 'csv') {
+            this.downloadFile(reporter.exportCSV(), 'text/csv', `performance-history-${stamp}.csv`);
+        } else {
+            this.downloadFile(reporter.exportData(), 'application/json', `performance-data-${stamp}.json`);
+        }
     }
     
     /**
-     * Export performance data
+     * Download a string as a file
+     * @param {string} data - File contents
+     * @param {string} type - MIME type
+     * @param {string} filename - Suggested file name
      */
-    exportPerformanceData() {
-        if (window.performanceReporter) {
-            const data = window.performanceReporter.exportData();
-            const blob = new Blob([data], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `performance-data-${new Date().toISOString().slice(0, 19)}.json`;
-            a.click();
-            
-            URL.revokeObjectURL(url);
-        }
+    downloadFile(data, type, filename) {
+        const blob = new Blob([data], { type });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        
+        URL.revokeObjectURL(url);
     }
     
     /**
@@ -363,22 +670,19 @@ class PerformanceOptimizationApp {
             },
             performance: window.performanceTracker?.getMetrics(),
             memory: window.PerformanceUtils?.getMemoryUsage(),
+            images: window.resourceTimingCollector?.getWaterfall(),
+            profiles: window.performanceTracker?.getProfiles(),
             recommendations: this.getPerformanceRecommendations()
         };
         
         console.log('📊 Performance Report:', report);
         
         // Create downloadable report
-        const data = JSON.stringify(report, null, 2);
-        const blob = new Blob([data], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `performance-report-${new Date().toISOString().slice(0, 19)}.json`;
-        a.click();
-        
-        URL.revokeObjectURL(url);
+        this.downloadFile(
+            JSON.stringify(report, null, 2),
+            'application/json',
+            `performance-report-${new Date().toISOString().slice(0, 19)}.json`
+        );
     }
     
     /**
@@ -445,6 +749,9 @@ class PerformanceOptimizationApp {
                 console.warn('⚠️ High memory usage:', usagePercent.toFixed(1) + '%');
             }
         }
+        
+        // Percentages miss slow leaks; the detector compares idle heap samples and detached subtrees
+        window.memoryLeakDetector?.check();
     }
     
     /**
@@ -576,6 +883,22 @@ window.debug = {
     getPerformanceMetrics: () => window.performanceTracker?.getMetrics(),
     getMemoryUsage: () => window.PerformanceUtils?.getMemoryUsage(),
     getDOMNodes: () => window.PerformanceUtils?.countDOMNodes(),
+    startProfiling: () => window.performanceTracker?.startRecording(),
+    stopProfiling: () => window.performanceTracker?.stopRecording(),
+    getMeasurements: () => {
+        const stats = window.PerformanceUtils?.getMeasurementStats() || [];
+        console.table(stats);
+        return stats;
+    },
+    setMeasurementMode: (mode) => window.PerformanceUtils?.setMeasurementMode(mode),
+    resetMeasurements: () => window.PerformanceUtils?.resetMeasurementStats(),
     exportData: () => window.performanceReporter?.exportData(),
+    exportTrace: () => app.exportPerformanceData('trace'),
+    exportCSV: () => app.exportPerformanceData('csv'),
+    startLayoutThrashDetection: () => window.layoutThrashDetector?.install(),
+    stopLayoutThrashDetection: () => window.layoutThrashDetector?.uninstall(),
+    getLayoutThrashStats: () => window.layoutThrashDetector?.getStats(),
+    getMemoryLeakReport: () => window.memoryLeakDetector?.getReport(),
+    toggleDashboard: () => app.dashboard?.toggle(),
     getAppStatus: () => app.getStatus()
 }; 
\ No newline at end of file
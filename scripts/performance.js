@@ -3,6 +3,70 @@
  * Real-time performance metrics and monitoring
  */
 
+// Good / poor boundaries for each Core Web Vital (https://web.dev/articles/vitals)
+const WEB_VITAL_THRESHOLDS = {
+    lcp: [2500, 4000],
+    cls: [0.1, 0.25],
+    inp: [200, 500],
+    fcp: [1800, 3000],
+    ttfb: [800, 1800]
+};
+
+// One frame at 60Hz; frame time histogram bucket upper bounds in ms
+const FRAME_BUDGET = 1000 / 60;
+const FRAME_HISTOGRAM_BUCKETS = [FRAME_BUDGET, FRAME_BUDGET * 2, 50, 100, Infinity];
+
+// Built-in budgets; performance-budgets.json and setBudget() override them
+const DEFAULT_BUDGET_CONFIG = {
+    budgets: {
+        fps: { min: { warn: 50, error: 30 } },
+        frameTime: { max: { warn: 25, error: 50 } }, // p95 ms
+        memory: { max: { warn: 40, error: 50 } }, // MB
+        domNodes: { max: { warn: 1500, error: 2000 } },
+        loadTime: { max: { warn: 2000, error: 3000 } }, // ms
+        interactionDelay: { max: { warn: 50, error: 100 } }, // ms
+        lcp: { max: { warn: WEB_VITAL_THRESHOLDS.lcp[0], error: WEB_VITAL_THRESHOLDS.lcp[1] } }, // ms
+        cls: { max: { warn: WEB_VITAL_THRESHOLDS.cls[0], error: WEB_VITAL_THRESHOLDS.cls[1] } },
+        inp: { max: { warn: WEB_VITAL_THRESHOLDS.inp[0], error: WEB_VITAL_THRESHOLDS.inp[1] } }, // ms
+        fcp: { max: { warn: WEB_VITAL_THRESHOLDS.fcp[0], error: WEB_VITAL_THRESHOLDS.fcp[1] } }, // ms
+        ttfb: { max: { warn: WEB_VITAL_THRESHOLDS.ttfb[0], error: WEB_VITAL_THRESHOLDS.ttfb[1] } } // ms
+    }
+};
+
+// How each budgeted metric is read from getMetrics(); undefined or null means not measured yet
+const BUDGET_METRIC_READERS = {
+    // 0 FPS only means the first second has not been counted
+    fps: (metrics) => metrics.fps || null,
+    frameTime: (metrics) => metrics.frames?.frames > 0 ? metrics.frames.p95 : null,
+    memory: (metrics) => metrics.memory?.used,
+    domNodes: (metrics) => metrics.domNodes,
+    loadTime: (metrics) => metrics.loadTime,
+    interactionDelay: (metrics) => metrics.webVitals?.inp?.attribution?.inputDelay,
+    lcp: (metrics) => metrics.webVitals?.lcp?.value,
+    cls: (metrics) => metrics.webVitals?.cls?.value,
+    inp: (metrics) => metrics.webVitals?.inp?.value,
+    fcp: (metrics) => metrics.webVitals?.fcp?.value,
+    ttfb: (metrics) => metrics.webVitals?.ttfb?.value
+};
+
+// Report history tiers: 10s buckets for an hour, 1m buckets for six hours, 5m buckets for a day
+const TIME_SERIES_TIERS = [
+    { resolution: 10 * 1000, capacity: 360 },
+    { resolution: 60 * 1000, capacity: 360 },
+    { resolution: 5 * 60 * 1000, capacity: 288 }
+];
+const TIME_SERIES_SAMPLE_LIMIT = 64;
+
+// Metrics kept in the report history
+const TIME_SERIES_READERS = {
+    fps: BUDGET_METRIC_READERS.fps,
+    frameTime: BUDGET_METRIC_READERS.frameTime,
+    memory: BUDGET_METRIC_READERS.memory,
+    domNodes: BUDGET_METRIC_READERS.domNodes,
+    droppedFrames: (metrics) => metrics.frames?.droppedFrames,
+    longFrames: (metrics) => metrics.longFrames?.count
+};
+
 class PerformanceTracker {
     constructor() {
         this.fpsCounter = $('#fps-counter');
@@ -14,6 +78,42 @@ class PerformanceTracker {
         this.lastTime = performance.now();
         this.animationId = null;
         
+        // Per-frame durations in a ring buffer (~10s at 60fps), tagged with the active section
+        this.frameBufferSize = 600;
+        this.frameDurations = new Float64Array(this.frameBufferSize);
+        this.frameEndTimes = new Float64Array(this.frameBufferSize);
+        this.frameSections = new Array(this.frameBufferSize).fill(null);
+        this.frameWriteIndex = 0;
+        this.frameTotal = 0;
+        this.droppedFrames = 0;
+        this.jankBursts = [];
+        this.jankBurstCount = 0;
+        this.currentBurst = null;
+        this.activeSection = null;
+        this.activeSectionExpiry = 0;
+        
+        // Blocked frames with script attribution, and the recent inputs they are matched against
+        this.longFrames = [];
+        this.longFrameCount = 0;
+        this.longFrameSource = null;
+        this.recentInputs = [];
+        
+        // Sampled JS profiles (or span trees where the Self-Profiling API is unavailable)
+        this.profiles = [];
+        this.recording = null;
+        this.autoRecording = null;
+        this.autoProfilingTimer = null;
+        
+        // Core Web Vitals, filled in by buffered PerformanceObservers
+        this.webVitals = { lcp: null, cls: null, inp: null, fcp: null, ttfb: null };
+        this.loadTime = null;
+        this.vitalObservers = new Map();
+        this.layoutShiftSession = { value: 0, firstTime: 0, lastTime: 0 };
+        this.layoutShiftTotal = 0;
+        this.interactions = new Map();
+        this.interactionCount = 0;
+        this.lcpFinalized = false;
+        
         this.init();
     }
     
@@ -25,18 +125,288 @@ class PerformanceTracker {
         this.startMemoryTracking();
         this.startDOMTracking();
         
+        if (!this.handleSectionInteraction) {
+            this.startSectionTagging();
+        }
+        
+        // Observers outlive pause/resume (init runs again on resume), so they start only once
+        if (this.vitalObservers.size === 0) {
+            this.startWebVitalsTracking();
+        }
+        
         // Monitor for performance issues
         this.monitorPerformanceIssues();
     }
     
+    /**
+     * Start collecting LCP, CLS, INP, FCP and TTFB
+     */
+    startWebVitalsTracking() {
+        if (!('PerformanceObserver' in window)) return;
+        
+        this.observeEntries('largest-contentful-paint', (entry) => this.recordLCP(entry));
+        this.observeEntries('layout-shift', (entry) => this.recordLayoutShift(entry));
+        this.observeEntries('event', (entry) => this.recordInteraction(entry), { durationThreshold: 40 });
+        this.observeEntries('first-input', (entry) => this.recordInteraction(entry));
+        this.observeEntries('paint', (entry) => {
+            if (entry.name === 'first-contentful-paint') {
+                this.setWebVital('fcp', entry.startTime);
+            }
+        });
+        this.observeEntries('navigation', (entry) => this.recordNavigation(entry));
+        
+        // LCP stops at the first input, and everything is final once the page is hidden
+        const finalizeLCP = () => this.finalizeLCP();
+        ['keydown', 'pointerdown'].forEach(type => {
+            window.addEventListener(type, finalizeLCP, { once: true, capture: true, passive: true });
+        });
+        
+        this.handleVitalsVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') {
+                this.finalizeWebVitals();
+            }
+        };
+        document.addEventListener('visibilitychange', this.handleVitalsVisibilityChange, { passive: true });
+    }
+    
+    /**
+     * Observe a performance entry type, including entries recorded before the observer existed
+     * @param {string} type - Entry type
+     * @param {Function} handler - Called with each entry
+     * @param {Object} options - Extra observe() options
+     */
+    observeEntries(type, handler, options = {}) {
+        if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return;
+        
+        try {
+            const observer = new PerformanceObserver((list) => {
+                list.getEntries().forEach(handler);
+            });
+            observer.observe({ type, buffered: true, ...options });
+            this.vitalObservers.set(type, { observer, handler });
+        } catch (error) {
+            console.warn(`${type} monitoring not supported:`, error);
+        }
+    }
+    
+    /**
+     * Store a web vital together with its rating
+     * @param {string} name - Vital name (lcp, cls, inp, fcp, ttfb)
+     * @param {number} value - Measured value
+     * @param {Object} attribution - What caused the value
+     */
+    setWebVital(name, value, attribution = null) {
+        const [good, poor] = WEB_VITAL_THRESHOLDS[name];
+        let rating = 'good';
+        if (value > poor) {
+            rating = 'poor';
+        } else if (value > good) {
+            rating = 'needs-improvement';
+        }
+        
+        this.webVitals[name] = {
+            value: name === 'cls' ? Math.round(value * 1000) / 1000 : Math.round(value),
+            rating,
+            attribution
+        };
+    }
+    
+    /**
+     * Record a largest-contentful-paint candidate
+     * @param {PerformanceEntry} entry - LCP entry
+     */
+    recordLCP(entry) {
+        if (this.lcpFinalized) return;
+        
+        this.setWebVital('lcp', entry.startTime, {
+            element: this.describeElement(entry.element),
+            url: entry.url || null,
+            size: entry.size
+        });
+    }
+    
+    /**
+     * Fold a layout shift into the largest session window (gaps under 1s, windows under 5s)
+     * @param {PerformanceEntry} entry - Layout shift entry
+     */
+    recordLayoutShift(entry) {
+        // Shifts right after user input are expected
+        if (entry.hadRecentInput) return;
+        
+        // Running total, so a time window can be scored by the shifts inside it
+        this.layoutShiftTotal += entry.value;
+        
+        const session = this.layoutShiftSession;
+        if (session.value > 0 && entry.startTime - session.lastTime < 1000 &&
+            entry.startTime - session.firstTime < 5000) {
+            session.value += entry.value;
+        } else {
+            session.value = entry.value;
+            session.firstTime = entry.startTime;
+        }
+        session.lastTime = entry.startTime;
+        
+        if (!this.webVitals.cls || session.value > this.webVitals.cls.value) {
+            const source = entry.sources?.[0];
+            this.setWebVital('cls', session.value, {
+                element: this.describeElement(source?.node),
+                startTime: Math.round(entry.startTime)
+            });
+        }
+    }
+    
+    /**
+     * Record an event timing entry and recompute INP
+     * @param {PerformanceEntry} entry - Event or first-input entry
+     */
+    recordInteraction(entry) {
+        // Only discrete interactions (clicks, taps, key presses) carry an interaction id
+        if (!entry.interactionId) return;
+        
+        const existing = this.interactions.get(entry.interactionId);
+        if (!existing) {
+            this.interactionCount++;
+        }
+        if (existing && existing.duration >= entry.duration) return;
+        
+        this.interactions.set(entry.interactionId, {
+            duration: entry.duration,
+            type: entry.name,
+            target: this.describeElement(entry.target),
+            startTime: Math.round(entry.startTime),
+            inputDelay: Math.round(entry.processingStart - entry.startTime),
+            processingTime: Math.round(entry.processingEnd - entry.processingStart),
+            presentationDelay: Math.round(entry.startTime + entry.duration - entry.processingEnd)
+        });
+        
+        // Keep the slowest interactions only; INP never looks past the worst few
+        if (this.interactions.size > 50) {
+            let fastestId = null;
+            this.interactions.forEach((interaction, id) => {
+                if (fastestId === null || interaction.duration < this.interactions.get(fastestId).duration) {
+                    fastestId = id;
+                }
+            });
+            this.interactions.delete(fastestId);
+        }
+        
+        this.updateINP();
+    }
+    
+    /**
+     * Compute INP: the worst interaction, ignoring one outlier per 50 interactions
+     */
+    updateINP() {
+        const sorted = Array.from(this.interactions.values()).sort((a, b) => b.duration - a.duration);
+        
+        const candidate = sorted[Math.min(sorted.length - 1, Math.floor(this.interactionCount / 50))];
+        if (candidate) {
+            const { duration, ...attribution } = candidate;
+            this.setWebVital('inp', duration, attribution);
+        }
+    }
+    
+    /**
+     * Record TTFB and page load time from the navigation entry
+     * @param {PerformanceEntry} entry - Navigation timing entry
+     */
+    recordNavigation(entry) {
+        // Prerendered pages count from activation, not from the prerender request
+        const activationStart = entry.activationStart || 0;
+        this.setWebVital('ttfb', Math.max(0, entry.responseStart - activationStart), {
+            dns: Math.round(entry.domainLookupEnd - entry.domainLookupStart),
+            connection: Math.round(entry.connectEnd - entry.connectStart),
+            request: Math.round(entry.responseStart - entry.requestStart)
+        });
+        
+        if (entry.loadEventEnd > 0) {
+            this.loadTime = Math.round(entry.loadEventEnd - activationStart);
+        }
+    }
+    
+    /**
+     * Stop updating LCP; later paints are not the largest contentful paint of the load
+     */
+    finalizeLCP() {
+        const lcpObserver = this.vitalObservers.get('largest-contentful-paint');
+        if (lcpObserver && !this.lcpFinalized) {
+            lcpObserver.observer.takeRecords().forEach(lcpObserver.handler);
+            lcpObserver.observer.disconnect();
+        }
+        this.lcpFinalized = true;
+    }
+    
+    /**
+     * Flush pending entries when the page is hidden, which may be the last chance to report
+     */
+    finalizeWebVitals() {
+        this.finalizeLCP();
+        
+        this.vitalObservers.forEach(({ observer, handler }, type) => {
+            if (type !== 'largest-contentful-paint') {
+                observer.takeRecords().forEach(handler);
+            }
+        });
+        
+        // The load event may have finished after the navigation entry was first delivered
+        const navigation = performance.getEntriesByType?.('navigation')[0];
+        if (navigation) {
+            this.recordNavigation(navigation);
+        }
+        
+        window.performanceMonitor.notify('webVitals', this.getWebVitals());
+    }
+    
+    /**
+     * Get current web vitals
+     * @returns {Object} { lcp, cls, inp, fcp, ttfb }, each { value, rating, attribution } or null
+     */
+    getWebVitals() {
+        return { ...this.webVitals };
+    }
+    
+    /**
+     * Describe an element compactly for attribution
+     * @param {Element} element - Element to describe
+     * @returns {string|null} Selector-like description
+     */
+    describeElement(element) {
+        if (!element || !element.tagName) return null;
+        
+        let description = element.tagName.toLowerCase();
+        if (element.id) {
+            description += `#${element.id}`;
+        } else if (typeof element.className === 'string' && element.className.trim()) {
+            description += `.${element.className.trim().split(/\s+/).join('.')}`;
+        }
+        return description;
+    }
+    
     /**
      * Start FPS counter with requestAnimationFrame
      */
     startFPSCounter() {
+        // Resuming after a pause must not count the pause as one very long frame
+        let lastFrameTime = performance.now();
+        
+        // Browsers stop animation frames in background tabs, so the gap until the tab is visible
+        // again is not a frame either
+        this.handleFrameVisibilityChange = () => {
+            lastFrameTime = performance.now();
+            this.frameCount = 0;
+            this.lastTime = lastFrameTime;
+        };
+        document.addEventListener('visibilitychange', this.handleFrameVisibilityChange, { passive: true });
+        
         const updateFPS = () => {
-            this.frameCount++;
             const currentTime = performance.now();
             
+            if (!document.hidden) {
+                this.frameCount++;
+                this.recordFrame(currentTime - lastFrameTime, currentTime);
+            }
+            lastFrameTime = currentTime;
+            
             if (currentTime - this.lastTime >= 1000) {
                 this.fps = Math.round((this.frameCount * 1000) / (currentTime - this.lastTime));
                 this.updateFPSCounter();
@@ -51,6 +421,190 @@ class PerformanceTracker {
         this.animationId = requestAnimationFrame(updateFPS);
     }
     
+    /**
+     * Store one frame duration and track dropped frames and jank bursts
+     * @param {number} duration - Time since the previous frame in ms
+     * @param {number} endTime - performance.now() at the frame
+     */
+    recordFrame(duration, endTime = performance.now()) {
+        const section = this.getActiveSection();
+        
+        this.frameDurations[this.frameWriteIndex] = duration;
+        this.frameEndTimes[this.frameWriteIndex] = endTime;
+        this.frameSections[this.frameWriteIndex] = section;
+        this.frameWriteIndex = (this.frameWriteIndex + 1) % this.frameBufferSize;
+        this.frameTotal++;
+        
+        // A frame that spans n vsync intervals dropped n - 1 of them
+        const dropped = Math.max(0, Math.round(duration / FRAME_BUDGET) - 1);
+        this.droppedFrames += dropped;
+        
+        // Consecutive frames that each drop at least one frame form a single jank burst
+        if (dropped > 0) {
+            if (!this.currentBurst) {
+                this.currentBurst = {
+                    startFrame: this.frameTotal,
+                    startTime: Math.round(performance.now() - duration),
+                    frames: 0,
+                    droppedFrames: 0,
+                    duration: 0,
+                    section
+                };
+            }
+            this.currentBurst.frames++;
+            this.currentBurst.droppedFrames += dropped;
+            this.currentBurst.duration += duration;
+        } else if (this.currentBurst) {
+            this.endJankBurst();
+        }
+    }
+    
+    /**
+     * Close the current jank burst and keep it for reports
+     */
+    endJankBurst() {
+        const burst = this.currentBurst;
+        burst.duration = Math.round(burst.duration);
+        this.currentBurst = null;
+        this.jankBurstCount++;
+        
+        this.jankBursts.push(burst);
+        if (this.jankBursts.length > 20) {
+            this.jankBursts.shift();
+        }
+        
+        // A single dropped frame is noise; longer stalls are worth surfacing
+        if (burst.duration > 100) {
+            window.performanceMonitor.notify('jank', burst);
+        }
+    }
+    
+    /**
+     * Tag frames with the demo section the user last interacted with
+     */
+    startSectionTagging() {
+        this.handleSectionInteraction = (e) => {
+            const section = e.target?.closest?.('section');
+            if (section) {
+                this.setActiveSection(section.dataset.perfSection || section.classList[0] || null);
+            }
+            
+            if (e.type === 'pointerdown' || e.type === 'keydown') {
+                this.recordInput(e);
+            }
+        };
+        
+        ['pointerdown', 'keydown', 'wheel', 'scroll', 'focusin'].forEach(type => {
+            document.addEventListener(type, this.handleSectionInteraction, { passive: true, capture: true });
+        });
+    }
+    
+    /**
+     * Mark which section subsequent frames belong to
+     * @param {string|null} name - Section name
+     * @param {number} duration - How long the tag lasts without further interaction, in ms
+     */
+    setActiveSection(name, duration = 1000) {
+        this.activeSection = name;
+        this.activeSectionExpiry = performance.now() + duration;
+    }
+    
+    /**
+     * Get the section frames are currently attributed to
+     * @returns {string|null} Section name, or null when idle
+     */
+    getActiveSection() {
+        if (this.activeSection && performance.now() > this.activeSectionExpiry) {
+            this.activeSection = null;
+        }
+        return this.activeSection;
+    }
+    
+    /**
+     * Summarize the buffered frame durations
+     * @param {number} fromFrame - Only include frames recorded after this frameTotal value
+     * @returns {Object} Percentiles, histogram, dropped frames, jank bursts and per-section stats
+     */
+    getFrameStats(fromFrame = 0) {
+        const count = Math.min(this.frameTotal - fromFrame, this.frameBufferSize);
+        const durations = [];
+        
+        const histogram = FRAME_HISTOGRAM_BUCKETS.map(limit => ({
+            le: limit === Infinity ? 'Infinity' : Math.round(limit * 10) / 10,
+            count: 0
+        }));
+        const sections = {};
+        let droppedFrames = 0;
+        
+        // Walk the newest `count` slots of the ring buffer
+        const first = (this.frameWriteIndex - count + this.frameBufferSize) % this.frameBufferSize;
+        for (let n = 0; n < count; n++) {
+            const i = (first + n) % this.frameBufferSize;
+            const duration = this.frameDurations[i];
+            const dropped = Math.max(0, Math.round(duration / FRAME_BUDGET) - 1);
+            durations.push(duration);
+            droppedFrames += dropped;
+            histogram[FRAME_HISTOGRAM_BUCKETS.findIndex(limit => duration <= limit)].count++;
+            
+            const name = this.frameSections[i] || 'idle';
+            if (!sections[name]) {
+                sections[name] = { frames: 0, droppedFrames: 0, slowestFrame: 0 };
+            }
+            sections[name].frames++;
+            sections[name].droppedFrames += dropped;
+            sections[name].slowestFrame = Math.max(sections[name].slowestFrame, Math.round(duration));
+        }
+        durations.sort((a, b) => a - b);
+        
+        const jankBursts = this.jankBursts.filter(burst => burst.startFrame >= fromFrame);
+        
+        return {
+            frames: count,
+            p50: this.percentile(durations, 50),
+            p95: this.percentile(durations, 95),
+            p99: this.percentile(durations, 99),
+            max: count > 0 ? Math.round(durations[count - 1] * 10) / 10 : 0,
+            histogram,
+            // Whole-session totals outlive the ring buffer; a window only counts its own frames
+            droppedFrames: fromFrame > 0 ? droppedFrames : this.droppedFrames,
+            jankBursts: fromFrame > 0 ? jankBursts.length : this.jankBurstCount,
+            recentJankBursts: jankBursts,
+            sections
+        };
+    }
+    
+    /**
+     * Get the buffered frames in order
+     * @returns {Array} Frames { endTime, duration, section }, oldest first
+     */
+    getFrameTimeline() {
+        const count = Math.min(this.frameTotal, this.frameBufferSize);
+        const first = (this.frameWriteIndex - count + this.frameBufferSize) % this.frameBufferSize;
+        const frames = [];
+        
+        for (let n = 0; n < count; n++) {
+            const i = (first + n) % this.frameBufferSize;
+            frames.push({
+                endTime: this.frameEndTimes[i],
+                duration: this.frameDurations[i],
+                section: this.frameSections[i]
+            });
+        }
+        return frames;
+    }
+    
+    /**
+     * Nearest-rank percentile of sorted values
+     * @param {Array<number>} sorted - Values in ascending order
+     * @param {number} p - Percentile (0-100)
+     * @returns {number} Percentile value rounded to 0.1
+     */
+    percentile(sorted, p) {
+        if (sorted.length === 0) return 0;
+        const rank = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+        return Math.round(sorted[Math.max(0, rank)] * 10) / 10;
+    }
+    
     /**
      * Update FPS counter display
      */
@@ -129,141 +683,1624 @@ class PerformanceTracker {
      * Monitor for performance issues
      */
     monitorPerformanceIssues() {
-        // Monitor for long tasks
-        if ('PerformanceObserver' in window) {
-            try {
-                const longTaskObserver = new PerformanceObserver((list) => {
-                    list.getEntries().forEach((entry) => {
-                        if (entry.duration > 50) { // Tasks longer than 50ms
-                            console.warn('Long task detected:', {
-                                duration: entry.duration,
-                                startTime: entry.startTime,
-                                name: entry.name
-                            });
-                            
-                            // Notify performance monitor
-                            window.performanceMonitor.notify('longTask', entry.duration);
-                        }
-                    });
-                });
-                
-                longTaskObserver.observe({ entryTypes: ['longtask'] });
-            } catch (error) {
-                console.warn('Long task monitoring not supported:', error);
+        // Monitor for long tasks; prefer Long Animation Frames, which name the scripts involved
+        if ('PerformanceObserver' in window && !this.longFrameSource) {
+            if (PerformanceObserver.supportedEntryTypes?.includes('long-animation-frame')) {
+                this.longFrameSource = 'long-animation-frame';
+                this.observeEntries('long-animation-frame', (entry) => this.recordLongFrame(entry));
+            } else if (PerformanceObserver.supportedEntryTypes?.includes('longtask')) {
+                this.longFrameSource = 'longtask';
+                this.observeEntries('longtask', (entry) => this.recordLongFrame(entry));
             }
         }
         
-        // Monitor for layout thrashing
-        let layoutCount = 0;
-        let lastLayoutTime = 0;
-        
-        const originalGetComputedStyle = window.getComputedStyle;
-        window.getComputedStyle = function(element, pseudoElement) {
-            const now = performance.now();
-            if (now - lastLayoutTime < 16) { // Multiple layouts in one frame
-                layoutCount++;
-                if (layoutCount > 5) {
-                    console.warn('Potential layout thrashing detected');
-                    window.performanceMonitor.notify('layoutThrashing', layoutCount);
-                }
-            } else {
-                layoutCount = 1;
+        // Layout thrashing is reported by the opt-in LayoutThrashDetector (dom-optimization.js)
+    }
+    
+    /**
+     * Remember a recent input so blocked frames can be traced back to it
+     * @param {Event} e - pointerdown or keydown event
+     */
+    recordInput(e) {
+        this.recentInputs.push({
+            type: e.type,
+            target: this.describeElement(e.target),
+            time: performance.now()
+        });
+        if (this.recentInputs.length > 20) {
+            this.recentInputs.shift();
+        }
+    }
+    
+    /**
+     * Find the input a blocked frame was most likely handling
+     * @param {number} start - Frame or task start time
+     * @param {number} end - Frame or task end time
+     * @returns {Object|null} { type, target, delay } or null
+     */
+    findInteractionForFrame(start, end) {
+        // Inputs queue behind busy frames, so one shortly before the frame still counts
+        for (let i = this.recentInputs.length - 1; i >= 0; i--) {
+            const input = this.recentInputs[i];
+            if (input.time <= end && input.time >= start - 100) {
+                return {
+                    type: input.type,
+                    target: input.target,
+                    delay: Math.max(0, Math.round(start - input.time))
+                };
             }
-            lastLayoutTime = now;
-            return originalGetComputedStyle.call(this, element, pseudoElement);
+        }
+        return null;
+    }
+    
+    /**
+     * Record a long animation frame or long task with whatever attribution it carries
+     * @param {PerformanceEntry} entry - long-animation-frame or longtask entry
+     */
+    recordLongFrame(entry) {
+        if (entry.duration <= 50) return; // Tasks longer than 50ms
+        
+        const record = {
+            type: entry.entryType,
+            startTime: Math.round(entry.startTime),
+            duration: Math.round(entry.duration),
+            blockingDuration: Math.round(entry.blockingDuration ?? entry.duration - 50),
+            section: this.getActiveSection(),
+            interaction: this.findInteractionForFrame(entry.startTime, entry.startTime + entry.duration),
+            scripts: []
         };
+        
+        if (entry.entryType === 'long-animation-frame') {
+            record.renderDuration = entry.renderStart > 0 ?
+                Math.round(entry.startTime + entry.duration - entry.renderStart) : 0;
+            record.scripts = (entry.scripts || []).map(script => ({
+                invoker: script.invoker,
+                invokerType: script.invokerType,
+                sourceURL: script.sourceURL,
+                sourceFunctionName: script.sourceFunctionName,
+                sourceCharPosition: script.sourceCharPosition,
+                duration: Math.round(script.duration),
+                forcedStyleAndLayoutDuration: Math.round(script.forcedStyleAndLayoutDuration || 0)
+            }));
+        } else {
+            // Long tasks only know which frame or iframe the work ran in
+            record.scripts = (entry.attribution || []).map(attribution => ({
+                invoker: attribution.containerName || attribution.containerId || attribution.name,
+                invokerType: attribution.containerType,
+                sourceURL: attribution.containerSrc || null,
+                sourceFunctionName: null,
+                duration: Math.round(entry.duration)
+            }));
+        }
+        
+        this.longFrames.push(record);
+        this.longFrameCount++;
+        if (this.longFrames.length > 50) {
+            this.longFrames.shift();
+        }
+        
+        const culprit = record.scripts.slice().sort((a, b) => b.duration - a.duration)[0];
+        console.warn('Long task detected:', {
+            duration: record.duration,
+            startTime: record.startTime,
+            culprit: culprit ? culprit.sourceFunctionName || culprit.invoker : 'unknown',
+            interaction: record.interaction
+        });
+        
+        // Notify performance monitor
+        window.performanceMonitor.notify('longTask', entry.duration);
     }
     
     /**
-     * Get current performance metrics
-     * @returns {Object} Current performance metrics
+     * Summarize recent long frames and the scripts that caused them
+     * @returns {Object} Counts, blocking time, top scripts and the latest frames
      */
-    getMetrics() {
+    getLongFrameStats() {
+        const scriptTotals = new Map();
+        let totalBlockingDuration = 0;
+        
+        this.longFrames.forEach(frame => {
+            totalBlockingDuration += frame.blockingDuration;
+            frame.scripts.forEach(script => {
+                const name = script.sourceFunctionName || script.invoker || 'anonymous';
+                const key = `${name} ${script.sourceURL || ''}`.trim();
+                const total = scriptTotals.get(key) || { name, sourceURL: script.sourceURL, count: 0, duration: 0 };
+                total.count++;
+                total.duration += script.duration;
+                scriptTotals.set(key, total);
+            });
+        });
+        
         return {
-            fps: this.fps,
-            memory: window.PerformanceUtils?.getMemoryUsage(),
-            domNodes: window.PerformanceUtils?.countDOMNodes() || 0,
-            timestamp: performance.now()
+            source: this.longFrameSource,
+            count: this.longFrameCount,
+            totalBlockingDuration,
+            withInteraction: this.longFrames.filter(frame => frame.interaction).length,
+            topScripts: Array.from(scriptTotals.values())
+                .sort((a, b) => b.duration - a.duration)
+                .slice(0, 5),
+            recent: this.longFrames.slice(-10)
         };
     }
     
     /**
-     * Cleanup performance tracking
+     * Start a profiling session
+     * @param {Object} options - { sampleInterval, maxBufferSize } in ms and samples
+     * @returns {string} 'profiler' for sampled stacks, 'spans' for the PerformanceMonitor fallback
      */
-    cleanup() {
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
+    startRecording(options = {}) {
+        if (!this.recording) {
+            this.recording = this.createRecording('manual', options);
         }
+        return this.recording.mode;
     }
-}
-
-/**
- * Performance Budget Manager
- * Helps maintain performance budgets
- */
-class PerformanceBudget {
-    constructor() {
-        this.budgets = {
-            fps: { min: 30, target: 60 },
-            memory: { max: 50 }, // MB
-            domNodes: { max: 2000 },
-            loadTime: { max: 3000 }, // ms
-            interactionDelay: { max: 100 } // ms
-        };
+    
+    /**
+     * Stop the profiling session and keep its profile
+     * @returns {Promise<Object|null>} Profile with a flame-graph-ready tree, or null when not recording
+     */
+    stopRecording() {
+        const recording = this.recording;
+        if (!recording) return Promise.resolve(null);
+        this.recording = null;
         
-        this.violations = [];
+        return this.finishRecording(recording).then(result => {
+            const profile = this.createProfile(recording, result, recording.startTime, result.endTime);
+            profile.longFrames = this.longFrames.filter(frame =>
+                frame.startTime >= recording.startTime && frame.startTime <= result.endTime).length;
+            this.addProfile(profile);
+            return profile;
+        }).catch(error => {
+            console.error('❌ Error stopping profiler:', error);
+            return null;
+        });
     }
     
     /**
-     * Check if performance is within budget
-     * @param {Object} metrics - Current performance metrics
-     * @returns {Object} Budget check results
+     * Profile continuously in short windows and keep only the parts that overlap long frames
+     * @param {Object} options - { windowDuration } plus startRecording() options
      */
-    checkBudget(metrics) {
-        const results = {
-            fps: metrics.fps >= this.budgets.fps.min,
-            memory: !metrics.memory || metrics.memory.used <= this.budgets.memory.max,
-            domNodes: metrics.domNodes <= this.budgets.domNodes.max,
-            overall: true
-        };
+    startAutoProfiling({ windowDuration = 10000, ...options } = {}) {
+        if (this.autoProfilingTimer) return;
         
-        results.overall = Object.values(results).every(result => result);
+        // A new window starts before the old one is collected, so no long frame falls in a gap
+        const rotate = () => {
+            const previous = this.autoRecording;
+            this.autoRecording = this.createRecording('long-frame', options);
+            if (previous) {
+                this.collectLongFrameProfiles(previous);
+            }
+        };
         
-        return results;
+        rotate();
+        this.autoProfilingTimer = setInterval(rotate, windowDuration);
     }
     
     /**
-     * Record performance violation
-     * @param {string} metric - The metric that violated the budget
-     * @param {number} value - The actual value
-     * @param {number} limit - The budget limit
+     * Stop automatic profiling, keeping profiles for long frames seen so far
+     * @returns {Promise} Resolves once the last window was collected
      */
-    recordViolation(metric, value, limit) {
-        this.violations.push({
-            metric,
-            value,
-            limit,
-            timestamp: performance.now()
-        });
+    stopAutoProfiling() {
+        clearInterval(this.autoProfilingTimer);
+        this.autoProfilingTimer = null;
         
-        console.warn(`Performance budget violated: ${metric} = ${value} (limit: ${limit})`);
+        const recording = this.autoRecording;
+        this.autoRecording = null;
+        return recording ? this.collectLongFrameProfiles(recording) : Promise.resolve();
     }
     
     /**
-     * Get violation summary
-     * @returns {Object} Violation summary
+     * Start a JS Self-Profiling session, or collect PerformanceMonitor spans and measurePerformance
+     * calls where it is unavailable
+     * @param {string} label - Why the recording was made
+     * @param {Object} options - { sampleInterval, maxBufferSize }
+     * @returns {Object} Recording
      */
-    getViolationSummary() {
-        const summary = {};
+    createRecording(label, { sampleInterval = 10, maxBufferSize = 10000 } = {}) {
+        const recording = { label, mode: 'spans', startTime: performance.now(), profiler: null, spans: [] };
         
-        this.violations.forEach(violation => {
-            if (!summary[violation.metric]) {
-                summary[violation.metric] = 0;
+        if (typeof window.Profiler === 'function') {
+            try {
+                recording.profiler = new Profiler({ sampleInterval, maxBufferSize });
+                recording.mode = 'profiler';
+            } catch (error) {
+                // The page must be served with "Document-Policy: js-profiling"
+                if (!this.profilerWarningShown) {
+                    console.warn('⚠️ JS Self-Profiling unavailable, profiling PerformanceMonitor spans instead:', error.message);
+                    this.profilerWarningShown = true;
+                }
             }
-            summary[violation.metric]++;
-        });
+        }
+        
+        if (!recording.profiler) {
+            // Monitor spans also arrive as 'measure', so only measurePerformance calls are taken from it
+            recording.handleSpan = (metric, span) => {
+                if (metric === 'span' || (metric === 'measure' && span?.source === 'measurePerformance')) {
+                    recording.spans.push(span);
+                }
+            };
+            window.performanceMonitor?.addObserver(recording.handleSpan);
+        }
+        return recording;
+    }
+    
+    /**
+     * Stop a recording
+     * @param {Object} recording - Recording from createRecording()
+     * @returns {Promise<Object>} { endTime, trace, sampleInterval, spans }
+     */
+    finishRecording(recording) {
+        const endTime = performance.now();
+        
+        if (!recording.profiler) {
+            window.performanceMonitor?.removeObserver(recording.handleSpan);
+            return Promise.resolve({ endTime, trace: null, spans: recording.spans });
+        }
+        
+        const sampleInterval = recording.profiler.sampleInterval;
+        return recording.profiler.stop().then(trace => ({ endTime, trace, sampleInterval, spans: null }));
+    }
+    
+    /**
+     * Keep one profile per long frame that fell inside an automatic recording window
+     * @param {Object} recording - Recording from createRecording()
+     * @returns {Promise} Resolves once collected
+     */
+    collectLongFrameProfiles(recording) {
+        return this.finishRecording(recording).then(result => {
+            this.longFrames
+                .filter(frame => !frame.profiled &&
+                    frame.startTime >= recording.startTime && frame.startTime < result.endTime)
+                .forEach(frame => {
+                    frame.profiled = true;
+                    const profile = this.createProfile(recording, result, frame.startTime, frame.startTime + frame.duration);
+                    profile.longFrame = { startTime: frame.startTime, duration: frame.duration, section: frame.section };
+                    this.addProfile(profile);
+                });
+        }).catch(error => {
+            console.error('❌ Error collecting long frame profiles:', error);
+        });
+    }
+    
+    /**
+     * Build a profile for part of a finished recording
+     * @param {Object} recording - Recording from createRecording()
+     * @param {Object} result - Result of finishRecording()
+     * @param {number} from - Window start (performance.now() timeline)
+     * @param {number} to - Window end
+     * @returns {Object} Profile
+     */
+    createProfile(recording, result, from, to) {
+        return {
+            label: recording.label,
+            mode: recording.mode,
+            startTime: Math.round(from),
+            duration: Math.round(to - from),
+            unit: 'ms',
+            tree: result.trace ?
+                this.buildStackTree(result.trace, result.sampleInterval, from, to) :
+                this.buildSpanTree(result.spans, from, to)
+        };
+    }
+    
+    /**
+     * Symbolize sampled stacks into a call tree; each sample counts as one sample interval
+     * @param {Object} trace - ProfilerTrace { resources, frames, stacks, samples }
+     * @param {number} sampleInterval - Time per sample in ms
+     * @param {number} from - Window start
+     * @param {number} to - Window end
+     * @returns {Object} Root node { name, value, self, children }
+     */
+    buildStackTree(trace, sampleInterval, from, to) {
+        const root = this.createProfileNode('(root)');
+        let idle = 0;
+        
+        trace.samples.forEach(sample => {
+            if (sample.timestamp < from || sample.timestamp > to) return;
+            if (sample.stackId === undefined) {
+                idle += sampleInterval;
+                return;
+            }
+            
+            // Stacks are stored leaf first as parent links
+            const path = [];
+            for (let stack = trace.stacks[sample.stackId]; stack; stack = trace.stacks[stack.parentId]) {
+                path.unshift(trace.frames[stack.frameId]);
+            }
+            
+            let node = root;
+            root.value += sampleInterval;
+            path.forEach(frame => {
+                const url = frame.resourceId !== undefined ? trace.resources[frame.resourceId] : null;
+                const name = frame.name || '(anonymous)';
+                node = this.getProfileChild(node, `${name} ${url}:${frame.line}:${frame.column}`, {
+                    name,
+                    url,
+                    line: frame.line,
+                    column: frame.column
+                });
+                node.value += sampleInterval;
+            });
+            node.self += sampleInterval;
+        });
+        
+        if (idle > 0) {
+            const idleNode = this.getProfileChild(root, '(idle)', { name: '(idle)' });
+            idleNode.value += idle;
+            idleNode.self += idle;
+            root.value += idle;
+        }
+        return this.finalizeProfileNode(root);
+    }
+    
+    /**
+     * Turn spans into a call tree by their parent links, clipped to the window
+     * @param {Array} spans - Completed spans and measurements
+     * @param {number} from - Window start
+     * @param {number} to - Window end
+     * @returns {Object} Root node { name, value, self, children }
+     */
+    buildSpanTree(spans, from, to) {
+        const root = this.createProfileNode('(root)');
+        const byId = new Map(spans.filter(span => span.id !== undefined).map(span => [span.id, span]));
+        const parents = new Map();
+        
+        spans.forEach((span, index) => {
+            if (span.id !== undefined) {
+                parents.set(span, byId.get(span.parentId) || null);
+                return;
+            }
+            
+            // measurePerformance calls have no parent links, so they nest under the tightest span
+            // around them; ties go to the earlier one so two equal spans cannot parent each other
+            let parent = null;
+            spans.forEach((candidate, candidateIndex) => {
+                const contains = candidate.startTime <= span.startTime &&
+                    candidate.startTime + candidate.duration >= span.startTime + span.duration;
+                const outer = candidate.duration > span.duration ||
+                    (candidate.duration === span.duration && candidateIndex < index);
+                if (candidate !== span && contains && outer && (!parent || candidate.duration < parent.duration)) {
+                    parent = candidate;
+                }
+            });
+            parents.set(span, parent);
+        });
+        
+        spans.forEach(span => {
+            const overlap = Math.min(to, span.startTime + span.duration) - Math.max(from, span.startTime);
+            if (overlap <= 0) return;
+            
+            // Parents that started before the recording are not known, so the path starts there
+            const path = [];
+            for (let current = span; current; current = parents.get(current)) {
+                path.unshift(current.name);
+            }
+            
+            let node = root;
+            path.forEach(name => {
+                node = this.getProfileChild(node, name, { name });
+            });
+            node.value += overlap;
+            
+            // Only top-level spans add to the root, or nested time would count twice
+            if (!parents.get(span)) {
+                root.value += overlap;
+            }
+        });
+        
+        // Span values are inclusive; whatever the children do not cover is self time
+        const computeSelf = (node) => {
+            let childTotal = 0;
+            node.children.forEach(child => {
+                computeSelf(child);
+                childTotal += child.value;
+            });
+            node.self = Math.max(0, node.value - childTotal);
+        };
+        computeSelf(root);
+        
+        return this.finalizeProfileNode(root);
+    }
+    
+    /**
+     * Create an empty call tree node
+     * @param {string} name - Function or span name
+     * @param {Object} details - Extra fields (url, line, column)
+     * @returns {Object} Node
+     */
+    createProfileNode(name, details = {}) {
+        return { name, ...details, value: 0, self: 0, children: new Map() };
+    }
+    
+    /**
+     * Get or create the child of a node
+     * @param {Object} node - Parent node
+     * @param {string} key - Identity of the child
+     * @param {Object} details - Fields for a new child
+     * @returns {Object} Child node
+     */
+    getProfileChild(node, key, details) {
+        let child = node.children.get(key);
+        if (!child) {
+            child = this.createProfileNode(details.name, details);
+            node.children.set(key, child);
+        }
+        return child;
+    }
+    
+    /**
+     * Convert child maps to arrays sorted by time, as flame graph libraries expect
+     * @param {Object} node - Node
+     * @returns {Object} Plain node
+     */
+    finalizeProfileNode(node) {
+        return {
+            ...node,
+            value: Math.round(node.value * 10) / 10,
+            self: Math.round(node.self * 10) / 10,
+            children: Array.from(node.children.values())
+                .sort((a, b) => b.value - a.value)
+                .map(child => this.finalizeProfileNode(child))
+        };
+    }
+    
+    /**
+     * Keep a profile, dropping the oldest beyond 20
+     * @param {Object} profile - Profile
+     */
+    addProfile(profile) {
+        this.profiles.push(profile);
+        if (this.profiles.length > 20) {
+            this.profiles.shift();
+        }
+    }
+    
+    /**
+     * Get the recorded profiles
+     * @returns {Array} Profiles, oldest first
+     */
+    getProfiles() {
+        return this.profiles.slice();
+    }
+    
+    /**
+     * Get current performance metrics
+     * @returns {Object} Current performance metrics
+     */
+    getMetrics() {
+        return {
+            fps: this.fps,
+            memory: window.PerformanceUtils?.getMemoryUsage(),
+            domNodes: window.PerformanceUtils?.countDOMNodes() || 0,
+            webVitals: this.getWebVitals(),
+            loadTime: this.loadTime,
+            frames: this.getFrameStats(),
+            longFrames: this.getLongFrameStats(),
+            layoutThrash: window.layoutThrashDetector?.installed ? window.layoutThrashDetector.getStats() : null,
+            timestamp: performance.now()
+        };
+    }
+    
+    /**
+     * Cleanup performance tracking
+     */
+    cleanup() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+        }
+        
+        if (this.handleFrameVisibilityChange) {
+            document.removeEventListener('visibilitychange', this.handleFrameVisibilityChange);
+            this.handleFrameVisibilityChange = null;
+        }
+        
+        if (this.handleSectionInteraction) {
+            ['pointerdown', 'keydown', 'wheel', 'scroll', 'focusin'].forEach(type => {
+                document.removeEventListener(type, this.handleSectionInteraction, { capture: true });
+            });
+            this.handleSectionInteraction = null;
+        }
+    }
+    
+    /**
+     * Disconnect the web vitals observers for good
+     */
+    stopWebVitalsTracking() {
+        this.vitalObservers.forEach(({ observer }) => observer.disconnect());
+        this.vitalObservers.clear();
+        
+        if (this.handleVitalsVisibilityChange) {
+            document.removeEventListener('visibilitychange', this.handleVitalsVisibilityChange);
+        }
+    }
+}
+
+/**
+ * Performance Budget Manager
+ * Helps maintain performance budgets
+ */
+class PerformanceBudget {
+    /**
+     * @param {Object} config - Budget config merged over the defaults (same shape as
+     *     performance-budgets.json: { budgets, routes, sections })
+     */
+    constructor(config = {}) {
+        this.storageKey = 'performance-budgets';
+        
+        // Defaults, then loaded configs in order, then overrides saved with setBudget
+        this.sources = [DEFAULT_BUDGET_CONFIG, config];
+        this.overrides = this.loadPersistedOverrides();
+        this.rebuildConfig();
+        
+        this.violations = [];
+        this.activeViolations = new Map();
+    }
+    
+    /**
+     * Load budgets from a JSON file or object, keeping persisted overrides on top
+     * @param {string|Object} source - URL of a JSON config, or the config itself
+     * @returns {Promise<Object>} Effective config
+     */
+    loadConfig(source) {
+        return Promise.resolve()
+            .then(() => {
+                if (typeof source !== 'string') return source;
+                
+                return fetch(source).then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                });
+            })
+            .then(config => {
+                this.sources.push(config);
+                this.rebuildConfig();
+                return this.config;
+            })
+            .catch(error => {
+                console.warn('⚠️ Could not load performance budgets, using defaults:', error);
+                return this.config;
+            });
+    }
+    
+    /**
+     * Recompute the effective config from its sources and the persisted overrides
+     */
+    rebuildConfig() {
+        this.config = { budgets: {}, routes: {}, sections: {} };
+        this.sources.forEach(source => this.mergeConfig(source));
+        this.mergeConfig(this.overrides);
+    }
+    
+    /**
+     * Merge a budget config into the current one
+     * @param {Object} config - { budgets, routes, sections }
+     */
+    mergeConfig(config) {
+        if (!config) return;
+        
+        const mergeBudgets = (target, source) => {
+            Object.entries(source || {}).forEach(([metric, budget]) => {
+                target[metric] = { ...target[metric], ...this.normalizeBudget(budget) };
+            });
+        };
+        
+        mergeBudgets(this.config.budgets, config.budgets);
+        ['routes', 'sections'].forEach(scope => {
+            Object.entries(config[scope] || {}).forEach(([name, budgets]) => {
+                this.config[scope][name] = this.config[scope][name] || {};
+                mergeBudgets(this.config[scope][name], budgets);
+            });
+        });
+    }
+    
+    /**
+     * Normalize a budget to { direction, warn, error }
+     * @param {Object} budget - { max: 50 }, { min: 30 } or { max: { warn: 40, error: 50 } }
+     * @returns {Object} Normalized budget with only the given thresholds set
+     */
+    normalizeBudget(budget) {
+        if (budget.direction) return { ...budget };
+        
+        const direction = budget.min !== undefined ? 'min' : 'max';
+        const limit = budget[direction];
+        const normalized = { direction };
+        
+        if (typeof limit === 'number') {
+            normalized.error = limit;
+        } else if (limit) {
+            if (limit.warn !== undefined) normalized.warn = limit.warn;
+            if (limit.error !== undefined) normalized.error = limit.error;
+        }
+        return normalized;
+    }
+    
+    /**
+     * Change a budget at runtime and remember it across reloads
+     * @param {string} metric - Metric name
+     * @param {Object} budget - Budget in any form normalizeBudget accepts
+     * @param {Object} scope - { route } or { section } to override only there
+     */
+    setBudget(metric, budget, scope = {}) {
+        let target;
+        if (scope.route || scope.section) {
+            const scopeName = scope.route ? 'routes' : 'sections';
+            const key = scope.route || scope.section;
+            this.overrides[scopeName] = this.overrides[scopeName] || {};
+            this.overrides[scopeName][key] = this.overrides[scopeName][key] || {};
+            target = this.overrides[scopeName][key];
+        } else {
+            this.overrides.budgets = this.overrides.budgets || {};
+            target = this.overrides.budgets;
+        }
+        target[metric] = { ...target[metric], ...this.normalizeBudget(budget) };
+        
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.overrides));
+        } catch (error) {
+            console.warn('⚠️ Could not persist performance budgets:', error);
+        }
+        this.rebuildConfig();
+    }
+    
+    /**
+     * Drop persisted overrides and go back to the defaults and loaded config
+     */
+    resetBudgets() {
+        this.overrides = {};
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('⚠️ Could not clear persisted performance budgets:', error);
+        }
+        this.rebuildConfig();
+    }
+    
+    /**
+     * Read overrides saved by setBudget
+     * @returns {Object} Persisted overrides
+     */
+    loadPersistedOverrides() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    /**
+     * Get the budgets that apply to a route and section
+     * @param {Object} context - { route, section }
+     * @returns {Object} Budgets by metric
+     */
+    getBudgets({ route = window.location.pathname, section = null } = {}) {
+        const budgets = {};
+        Object.entries(this.config.budgets).forEach(([metric, budget]) => {
+            budgets[metric] = { ...budget };
+        });
+        
+        const applyOverrides = (overrides) => {
+            Object.entries(overrides || {}).forEach(([metric, budget]) => {
+                budgets[metric] = { ...budgets[metric], ...budget };
+            });
+        };
+        
+        // Route keys match exactly, or by prefix when they end in '*'; a directory and its
+        // index.html are the same page, whichever one the server was asked for
+        const normalizeRoute = (path) => path.replace(/\/index\.html?$/, '/');
+        const page = normalizeRoute(route);
+        Object.entries(this.config.routes).forEach(([pattern, overrides]) => {
+            const matches = pattern.endsWith('*') ?
+                page.startsWith(pattern.slice(0, -1)) : page === normalizeRoute(pattern);
+            if (matches) applyOverrides(overrides);
+        });
+        if (section) {
+            applyOverrides(this.config.sections[section]);
+        }
+        
+        return budgets;
+    }
+    
+    /**
+     * Rate a value against a budget
+     * @param {number} value - Measured value
+     * @param {Object} budget - Normalized budget
+     * @returns {Object} { status: 'pass'|'warn'|'error', limit }
+     */
+    evaluate(value, budget) {
+        const exceeds = (limit) => limit !== undefined && limit !== null &&
+            (budget.direction === 'min' ? value < limit : value > limit);
+        
+        if (exceeds(budget.error)) return { status: 'error', limit: budget.error };
+        if (exceeds(budget.warn)) return { status: 'warn', limit: budget.warn };
+        return { status: 'pass', limit: budget.error ?? budget.warn };
+    }
+    
+    /**
+     * Check if performance is within budget
+     * @param {Object} metrics - Current performance metrics
+     * @param {Object} context - { route, section }; defaults to the current page and active section
+     * @returns {Object} Budget check results
+     */
+    checkBudget(metrics, context = {}) {
+        const route = context.route || window.location.pathname;
+        const section = context.section !== undefined ?
+            context.section : window.performanceTracker?.getActiveSection() || null;
+        const budgets = this.getBudgets({ route, section });
+        
+        const results = { overall: true, warnings: 0, details: {} };
+        
+        Object.entries(budgets).forEach(([metric, budget]) => {
+            const reader = BUDGET_METRIC_READERS[metric];
+            const value = reader ? reader(metrics) : undefined;
+            
+            // Metrics that have not been measured yet cannot be over budget
+            if (value === undefined || value === null) {
+                results[metric] = true;
+                results.details[metric] = { value: null, status: 'unmeasured' };
+                return;
+            }
+            
+            const { status, limit } = this.evaluate(value, budget);
+            results[metric] = status !== 'error';
+            results.details[metric] = { value, status, limit };
+            
+            if (status === 'warn') results.warnings++;
+            if (status === 'error') results.overall = false;
+            this.trackViolation(metric, value, limit, status, { route, section });
+        });
+        
+        return results;
+    }
+    
+    /**
+     * Record a violation when a metric starts failing or gets worse, not on every check
+     * @param {string} metric - Metric name
+     * @param {number} value - Measured value
+     * @param {number} limit - Threshold that was crossed
+     * @param {string} status - 'pass', 'warn' or 'error'
+     * @param {Object} context - { route, section }
+     */
+    trackViolation(metric, value, limit, status, context) {
+        const previous = this.activeViolations.get(metric);
+        
+        if (status === 'pass') {
+            this.activeViolations.delete(metric);
+            return;
+        }
+        if (previous === status || (previous === 'error' && status === 'warn')) return;
+        
+        this.activeViolations.set(metric, status);
+        this.recordViolation(metric, value, limit, { severity: status, ...context });
+    }
+    
+    /**
+     * Record performance violation
+     * @param {string} metric - The metric that violated the budget
+     * @param {number} value - The actual value
+     * @param {number} limit - The budget limit
+     * @param {Object} context - { severity, route, section }
+     */
+    recordViolation(metric, value, limit, context = {}) {
+        const violation = {
+            metric,
+            value,
+            limit,
+            severity: context.severity || 'error',
+            route: context.route || window.location.pathname,
+            section: context.section || null,
+            timestamp: performance.now()
+        };
+        
+        this.violations.push(violation);
+        if (this.violations.length > 100) {
+            this.violations.shift();
+        }
+        
+        console.warn(`Performance budget violated: ${metric} = ${value} (limit: ${limit}, ${violation.severity})`);
+        
+        window.dispatchEvent(new CustomEvent('budgetviolation', { detail: violation }));
+    }
+    
+    /**
+     * Run a scenario and check what it produced against the budgets, for automated tests
+     * @param {Function} scenario - Sync or async function that exercises the page
+     * @param {Object} options - Assertion options
+     * @param {Object} options.budgets - Extra budgets for this run: 'duration' for the whole
+     *     scenario, 'measure:<name>' for PerformanceMonitor measurements, or any metric name
+     * @param {string} options.route - Route whose overrides apply (defaults to the current page)
+     * @param {string} options.section - Section whose overrides apply
+     * @param {number} options.settleTime - Wait after the scenario so frames and observers catch up, in ms
+     * @param {boolean} options.failOnWarn - Treat warnings as failures
+     * @param {boolean} options.throwOnFailure - Reject with an Error carrying the result instead of resolving
+     * @returns {Promise<Object>} { passed, failures, warnings, metrics, measures, duration }
+     */
+    assertBudget(scenario, options = {}) {
+        const { settleTime = 100, failOnWarn = false, throwOnFailure = false } = options;
+        const tracker = window.performanceTracker;
+        
+        // Collect PerformanceMonitor measurements made while the scenario runs
+        const measures = [];
+        const collectMeasure = (metric, value) => {
+            if (metric === 'measure') measures.push(value);
+        };
+        window.performanceMonitor.addObserver(collectMeasure);
+        
+        // Session-wide figures are snapshotted so only what changes during the scenario counts
+        const startTime = performance.now();
+        const start = {
+            time: startTime,
+            frame: tracker ? tracker.frameTotal : 0,
+            longFrames: tracker ? tracker.longFrameCount : 0,
+            layoutShiftTotal: tracker ? tracker.layoutShiftTotal : 0,
+            webVitals: tracker ? tracker.getWebVitals() : {},
+            loadTime: tracker ? tracker.loadTime : null
+        };
+        let duration = 0;
+        
+        return Promise.resolve()
+            .then(() => scenario())
+            .then(() => {
+                duration = performance.now() - startTime;
+                return new Promise(resolve => setTimeout(resolve, settleTime));
+            })
+            .then(() => {
+                const metrics = this.collectScenarioMetrics(tracker, start, duration);
+                const result = this.evaluateScenario(metrics, measures, options);
+                result.passed = result.failures.length === 0 && (!failOnWarn || result.warnings.length === 0);
+                
+                if (!result.passed && throwOnFailure) {
+                    const failed = result.failures.concat(failOnWarn ? result.warnings : []);
+                    const error = new Error(`Performance budget failed: ${failed.map(failure =>
+                        `${failure.metric} = ${failure.value} (limit: ${failure.limit})`).join(', ')}`);
+                    error.result = result;
+                    throw error;
+                }
+                return result;
+            })
+            .finally(() => {
+                window.performanceMonitor.removeObserver(collectMeasure);
+            });
+    }
+    
+    /**
+     * Build a metrics object covering only what happened during a scenario
+     * @param {PerformanceTracker} tracker - Live tracker, if the page has one
+     * @param {Object} start - Tracker snapshot taken when the scenario started
+     * @param {number} duration - Scenario duration in ms
+     * @returns {Object} Metrics in the getMetrics() shape, scoped to the scenario
+     */
+    collectScenarioMetrics(tracker, start, duration) {
+        const metrics = tracker ? tracker.getMetrics() : {
+            fps: 0,
+            memory: window.PerformanceUtils?.getMemoryUsage(),
+            domNodes: window.PerformanceUtils?.countDOMNodes() || 0
+        };
+        
+        if (tracker) {
+            metrics.frames = tracker.getFrameStats(start.frame);
+            
+            // An FPS figure needs a few frames to mean anything
+            metrics.fps = metrics.frames.frames >= 2 && duration > 0 ?
+                Math.round((metrics.frames.frames * 1000) / duration) : 0;
+            
+            const newLongFrames = Math.min(tracker.longFrameCount - start.longFrames, tracker.longFrames.length);
+            metrics.longFrames = {
+                count: tracker.longFrameCount - start.longFrames,
+                recent: newLongFrames > 0 ? tracker.longFrames.slice(-newLongFrames) : []
+            };
+            
+            metrics.webVitals = this.collectScenarioVitals(tracker, start);
+            // The page finished loading before the scenario unless the scenario waited for it
+            metrics.loadTime = start.loadTime === null ? tracker.loadTime : null;
+        }
+        
+        metrics.duration = Math.round(duration * 100) / 100;
+        return metrics;
+    }
+    
+    /**
+     * Web vitals for a scenario, from the change since it started rather than the session values
+     * @param {PerformanceTracker} tracker - Live tracker
+     * @param {Object} start - Tracker snapshot taken when the scenario started
+     * @returns {Object} Vitals in the getWebVitals() shape; null where the scenario produced none
+     */
+    collectScenarioVitals(tracker, start) {
+        const vitals = tracker.getWebVitals();
+        const scoped = {};
+        
+        // Load vitals only count when the scenario produced them, for example by navigating
+        ['lcp', 'fcp', 'ttfb'].forEach(name => {
+            scoped[name] = vitals[name] !== start.webVitals[name] ? vitals[name] : null;
+        });
+        
+        // Every unexpected shift during the scenario, not the session's worst window
+        scoped.cls = { value: Math.round((tracker.layoutShiftTotal - start.layoutShiftTotal) * 1000) / 1000 };
+        
+        // The slowest interaction that started during the scenario
+        let slowest = null;
+        tracker.interactions.forEach(interaction => {
+            if (interaction.startTime >= Math.floor(start.time) && (!slowest || interaction.duration > slowest.duration)) {
+                slowest = interaction;
+            }
+        });
+        if (slowest) {
+            const { duration, ...attribution } = slowest;
+            scoped.inp = { value: Math.round(duration), attribution };
+        } else {
+            scoped.inp = null;
+        }
+        return scoped;
+    }
+    
+    /**
+     * Compare scenario metrics and measurements with the budgets
+     * @param {Object} metrics - Scenario metrics
+     * @param {Array} measures - { name, duration } measurements
+     * @param {Object} options - assertBudget options
+     * @returns {Object} { failures, warnings, metrics, measures, duration }
+     */
+    evaluateScenario(metrics, measures, options) {
+        const budgets = this.getBudgets({ route: options.route, section: options.section || null });
+        const extraBudgets = options.budgets || {};
+        Object.entries(extraBudgets).forEach(([metric, budget]) => {
+            budgets[metric] = { ...budgets[metric], ...this.normalizeBudget(budget) };
+        });
+        
+        const failures = [];
+        const warnings = [];
+        
+        Object.entries(budgets).forEach(([metric, budget]) => {
+            let value;
+            if (metric === 'duration') {
+                value = metrics.duration;
+            } else if (metric.startsWith('measure:')) {
+                // The slowest run of a measurement is the one that has to fit
+                const name = metric.slice('measure:'.length);
+                const durations = measures.filter(measure => measure.name === name).map(measure => measure.duration);
+                value = durations.length > 0 ? Math.round(Math.max(...durations) * 100) / 100 : null;
+            } else {
+                value = BUDGET_METRIC_READERS[metric]?.(metrics);
+            }
+            if (value === undefined || value === null) return;
+            
+            const { status, limit } = this.evaluate(value, budget);
+            if (status === 'error') failures.push({ metric, value, limit, severity: status });
+            if (status === 'warn') warnings.push({ metric, value, limit, severity: status });
+        });
+        
+        return { failures, warnings, metrics, measures, duration: metrics.duration };
+    }
+    
+    /**
+     * Get violation summary
+     * @returns {Object} Violation summary
+     */
+    getViolationSummary() {
+        const summary = {};
+        
+        this.violations.forEach(violation => {
+            if (!summary[violation.metric]) {
+                summary[violation.metric] = 0;
+            }
+            summary[violation.metric]++;
+        });
+        
+        return summary;
+    }
+}
+
+/**
+ * Metrics Time Series
+ * Fixed-size per-metric history; old buckets are rolled up into coarser tiers instead of growing
+ */
+class MetricsTimeSeries {
+    /**
+     * @param {Object} options - Store options
+     * @param {Array} options.tiers - { resolution (ms), capacity (buckets) }, finest first
+     * @param {number} options.sampleLimit - Values kept per bucket for percentile estimates
+     */
+    constructor(options = {}) {
+        this.tiers = (options.tiers || TIME_SERIES_TIERS).map(tier => ({ ...tier, buckets: [] }));
+        this.sampleLimit = options.sampleLimit || TIME_SERIES_SAMPLE_LIMIT;
+    }
+    
+    /**
+     * Record one sample per metric
+     * @param {Object} values - Metric name to number; missing or non-finite values are skipped
+     * @param {number} timestamp - Sample time in ms since the epoch
+     */
+    record(values, timestamp = Date.now()) {
+        const tier = this.tiers[0];
+        const start = Math.floor(timestamp / tier.resolution) * tier.resolution;
+        let bucket = tier.buckets[tier.buckets.length - 1];
+        
+        // Late samples land in the newest bucket so buckets stay in order
+        if (!bucket || start > bucket.start) {
+            bucket = { start, metrics: {} };
+            tier.buckets.push(bucket);
+        }
+        
+        Object.entries(values).forEach(([name, value]) => {
+            if (typeof value !== 'number' || !Number.isFinite(value)) return;
+            
+            const stats = bucket.metrics[name] || (bucket.metrics[name] = this.createStats());
+            stats.min = Math.min(stats.min, value);
+            stats.max = Math.max(stats.max, value);
+            stats.sum += value;
+            stats.count++;
+            stats.samples.push(value);
+            this.thinSamples(stats);
+        });
+        
+        this.compact(0);
+    }
+    
+    /**
+     * Create empty per-metric bucket stats
+     * @returns {Object} Stats
+     */
+    createStats() {
+        return { min: Infinity, max: -Infinity, sum: 0, count: 0, samples: [] };
+    }
+    
+    /**
+     * Fold one set of stats into another
+     * @param {Object} target - Stats to update
+     * @param {Object} source - Stats to add
+     */
+    mergeStats(target, source) {
+        target.min = Math.min(target.min, source.min);
+        target.max = Math.max(target.max, source.max);
+        target.sum += source.sum;
+        target.count += source.count;
+        target.samples.push(...source.samples);
+        this.thinSamples(target);
+    }
+    
+    /**
+     * Keep an evenly spaced subset of the sorted samples so percentiles survive roll-ups
+     * @param {Object} stats - Stats to thin
+     */
+    thinSamples(stats) {
+        if (stats.samples.length <= this.sampleLimit) return;
         
-        return summary;
+        const sorted = stats.samples.slice().sort((a, b) => a - b);
+        const step = (sorted.length - 1) / (this.sampleLimit - 1);
+        stats.samples = Array.from({ length: this.sampleLimit }, (_, i) => sorted[Math.round(i * step)]);
+    }
+    
+    /**
+     * Move buckets that overflow a tier into the next, coarser one
+     * @param {number} index - Tier index
+     */
+    compact(index) {
+        const tier = this.tiers[index];
+        const next = this.tiers[index + 1];
+        
+        while (tier.buckets.length > tier.capacity) {
+            const evicted = tier.buckets.shift();
+            if (!next) continue; // The coarsest tier simply forgets
+            
+            const start = Math.floor(evicted.start / next.resolution) * next.resolution;
+            let target = next.buckets[next.buckets.length - 1];
+            if (!target || start > target.start) {
+                target = { start, metrics: {} };
+                next.buckets.push(target);
+            }
+            
+            Object.entries(evicted.metrics).forEach(([name, stats]) => {
+                this.mergeStats(target.metrics[name] || (target.metrics[name] = this.createStats()), stats);
+            });
+        }
+        
+        if (next) {
+            this.compact(index + 1);
+        }
+    }
+    
+    /**
+     * Walk buckets overlapping a range, oldest first
+     * @param {Object} range - { from, to } in ms since the epoch
+     * @param {Function} callback - Called with (bucket, resolution)
+     */
+    forEachBucket({ from = 0, to = Infinity } = {}, callback) {
+        // Coarser tiers hold older data, so walking them first keeps time order
+        for (let i = this.tiers.length - 1; i >= 0; i--) {
+            const { resolution, buckets } = this.tiers[i];
+            buckets.forEach(bucket => {
+                if (bucket.start + resolution > from && bucket.start <= to) {
+                    callback(bucket, resolution);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Get the history of one metric, at the finest resolution still kept for each period
+     * @param {string} metric - Metric name
+     * @param {Object} range - { from, to } in ms since the epoch
+     * @returns {Array} Points { start, end, resolution, min, max, avg, count, p50, p95, p99 }
+     */
+    query(metric, range = {}) {
+        const points = [];
+        this.forEachBucket(range, (bucket, resolution) => {
+            const stats = bucket.metrics[metric];
+            if (stats) {
+                points.push({ start: bucket.start, end: bucket.start + resolution, resolution, ...this.summarize(stats) });
+            }
+        });
+        return points;
+    }
+    
+    /**
+     * Aggregate one metric over a range
+     * @param {string} metric - Metric name
+     * @param {Object} range - { from, to } in ms since the epoch
+     * @returns {Object|null} { min, max, avg, count, p50, p95, p99 }, or null without data
+     */
+    aggregate(metric, range = {}) {
+        // Merging does not thin, so percentiles use every sample kept in the range
+        const total = this.createStats();
+        this.forEachBucket(range, (bucket) => {
+            const stats = bucket.metrics[metric];
+            if (stats) {
+                total.min = Math.min(total.min, stats.min);
+                total.max = Math.max(total.max, stats.max);
+                total.sum += stats.sum;
+                total.count += stats.count;
+                total.samples.push(...stats.samples);
+            }
+        });
+        return total.count > 0 ? this.summarize(total) : null;
+    }
+    
+    /**
+     * Turn bucket stats into reportable numbers
+     * @param {Object} stats - Stats
+     * @returns {Object} { min, max, avg, count, p50, p95, p99 }
+     */
+    summarize(stats) {
+        const sorted = stats.samples.slice().sort((a, b) => a - b);
+        const percentile = (p) => sorted[Math.max(0, Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1))];
+        
+        return {
+            min: stats.min,
+            max: stats.max,
+            avg: Math.round(stats.sum / stats.count * 100) / 100,
+            count: stats.count,
+            p50: percentile(50),
+            p95: percentile(95),
+            p99: percentile(99)
+        };
+    }
+    
+    /**
+     * Get the names of all recorded metrics
+     * @returns {Array} Metric names
+     */
+    getMetricNames() {
+        const names = new Set();
+        this.forEachBucket({}, (bucket) => Object.keys(bucket.metrics).forEach(name => names.add(name)));
+        return Array.from(names);
+    }
+    
+    /**
+     * Export every metric's history
+     * @returns {Object} Metric name to query() points
+     */
+    toJSON() {
+        const history = {};
+        this.getMetricNames().forEach(name => {
+            history[name] = this.query(name);
+        });
+        return history;
+    }
+    
+    /**
+     * Export every metric's history as CSV, one row per metric and bucket
+     * @returns {string} CSV with a header row
+     */
+    toCSV() {
+        const columns = ['min', 'max', 'avg', 'count', 'p50', 'p95', 'p99'];
+        const rows = [['metric', 'start', 'end', 'resolution_ms', ...columns].join(',')];
+        
+        this.getMetricNames().forEach(name => {
+            this.query(name).forEach(point => {
+                rows.push([
+                    name,
+                    new Date(point.start).toISOString(),
+                    new Date(point.end).toISOString(),
+                    point.resolution,
+                    ...columns.map(column => point[column])
+                ].join(','));
+            });
+        });
+        return rows.join('\n');
+    }
+    
+    /**
+     * Drop all history
+     */
+    clear() {
+        this.tiers.forEach(tier => {
+            tier.buckets = [];
+        });
+    }
+}
+
+/**
+ * Trace Recorder
+ * Collects PerformanceMonitor spans and converts a capture to the Chrome Trace Event format
+ */
+class TraceRecorder {
+    /**
+     * @param {Object} options - Recorder options
+     * @param {number} options.maxSpans - Oldest spans are dropped beyond this
+     */
+    constructor(options = {}) {
+        this.maxSpans = options.maxSpans || 2000;
+        this.spans = [];
+        
+        this.handleMeasure = (metric, value) => {
+            if (metric === 'measure' && value && value.startTime !== undefined) {
+                this.spans.push({ ...value });
+                if (this.spans.length > this.maxSpans) {
+                    this.spans.shift();
+                }
+            }
+        };
+        window.performanceMonitor?.addObserver(this.handleMeasure);
+    }
+    
+    /**
+     * Build a trace that opens in the Chrome Performance panel and Perfetto
+     * @param {Object} sources - { tracker, timeSeries, resources }
+     * @returns {Object} { traceEvents, displayTimeUnit, metadata }
+     */
+    toTraceEvents({
+        tracker = window.performanceTracker,
+        timeSeries = null,
+        resources = window.resourceTimingCollector
+    } = {}) {
+        // Trace timestamps are microseconds on the page's performance.now() timeline
+        const toMicros = (ms) => Math.round(ms * 1000);
+        const pid = 1;
+        const threads = { spans: 1, longFrames: 2, frames: 3 };
+        
+        const events = [
+            { ph: 'M', pid, name: 'process_name', args: { name: document.title || window.location.href } },
+            { ph: 'M', pid, tid: threads.spans, name: 'thread_name', args: { name: 'Measurements' } },
+            { ph: 'M', pid, tid: threads.longFrames, name: 'thread_name', args: { name: 'Long frames' } },
+            { ph: 'M', pid, tid: threads.frames, name: 'thread_name', args: { name: 'Frames' } }
+        ];
+        
+        this.assignSpanTracks().forEach(({ span, track }) => {
+            // Extra tracks sit well clear of the fixed threads and the image tracks
+            const tid = track === 0 ? threads.spans : 1000 + track;
+            if (track > 0 && !events.some(event => event.ph === 'M' && event.tid === tid)) {
+                events.push({ ph: 'M', pid, tid, name: 'thread_name', args: { name: `Measurements (${track + 1})` } });
+            }
+            
+            events.push({
+                ph: 'X',
+                pid,
+                tid,
+                cat: span.source || 'measure',
+                name: span.name,
+                ts: toMicros(span.startTime),
+                dur: toMicros(span.duration),
+                args: span.id ? { id: span.id, parentId: span.parentId, ...span.attributes } : undefined
+            });
+        });
+        
+        if (tracker) {
+            tracker.longFrames.forEach(frame => {
+                events.push({
+                    ph: 'X',
+                    pid,
+                    tid: threads.longFrames,
+                    cat: 'longtask',
+                    name: frame.type === 'long-animation-frame' ? 'LongAnimationFrame' : 'LongTask',
+                    ts: toMicros(frame.startTime),
+                    dur: toMicros(frame.duration),
+                    args: {
+                        blockingDuration: frame.blockingDuration,
+                        section: frame.section,
+                        interaction: frame.interaction,
+                        scripts: frame.scripts
+                    }
+                });
+            });
+            
+            tracker.getFrameTimeline().forEach(frame => {
+                const droppedFrames = Math.max(0, Math.round(frame.duration / FRAME_BUDGET) - 1);
+                events.push({
+                    ph: 'X',
+                    pid,
+                    tid: threads.frames,
+                    cat: 'frame',
+                    name: droppedFrames > 0 ? 'Dropped frame' : 'Frame',
+                    ts: toMicros(frame.endTime - frame.duration),
+                    dur: toMicros(frame.duration),
+                    args: { section: frame.section, droppedFrames }
+                });
+            });
+            
+            tracker.jankBursts.forEach(burst => {
+                events.push({
+                    ph: 'i',
+                    s: 't',
+                    pid,
+                    tid: threads.frames,
+                    cat: 'frame',
+                    name: 'Jank burst',
+                    ts: toMicros(burst.startTime),
+                    args: { frames: burst.frames, droppedFrames: burst.droppedFrames, section: burst.section }
+                });
+            });
+        }
+        
+        // One track per lazy image, so its phases line up as a waterfall
+        if (resources) {
+            resources.getWaterfall().images.forEach((image, index) => {
+                const tid = 100 + index;
+                events.push({ ph: 'M', pid, tid, name: 'thread_name', args: { name: image.label || image.url } });
+                image.timeline.forEach(span => {
+                    events.push({
+                        ph: 'X',
+                        pid,
+                        tid,
+                        cat: 'image',
+                        name: span.name,
+                        ts: toMicros(span.start),
+                        dur: toMicros(span.duration),
+                        args: { url: image.url, cache: image.cache, transferSize: image.transferSize }
+                    });
+                });
+            });
+        }
+        
+        // Time series buckets are wall-clock; counters only cover this page's lifetime
+        if (timeSeries) {
+            timeSeries.getMetricNames().forEach(name => {
+                timeSeries.query(name, { from: performance.timeOrigin }).forEach(point => {
+                    events.push({
+                        ph: 'C',
+                        pid,
+                        name,
+                        ts: toMicros(Math.max(0, point.start - performance.timeOrigin)),
+                        args: { value: point.avg }
+                    });
+                });
+            });
+        }
+        
+        return {
+            traceEvents: events,
+            displayTimeUnit: 'ms',
+            metadata: {
+                url: window.location.href,
+                userAgent: navigator.userAgent,
+                timeOrigin: performance.timeOrigin,
+                exportedAt: new Date().toISOString()
+            }
+        };
+    }
+    
+    /**
+     * Spread spans over tracks so every track holds only properly nested spans
+     * (async measurements overlap without nesting, which 'X' events on one thread cannot show)
+     * @returns {Array} { span, track } in start order
+     */
+    assignSpanTracks() {
+        // Open span end times per track, innermost last
+        const tracks = [];
+        const spans = [...this.spans].sort((a, b) => a.startTime - b.startTime || b.duration - a.duration);
+        
+        return spans.map(span => {
+            const end = span.startTime + span.duration;
+            let track = tracks.findIndex(open => {
+                while (open.length && open[open.length - 1] <= span.startTime) {
+                    open.pop();
+                }
+                return open.length === 0 || open[open.length - 1] >= end;
+            });
+            
+            if (track < 0) {
+                track = tracks.length;
+                tracks.push([]);
+            }
+            tracks[track].push(end);
+            return { span, track };
+        });
+    }
+    
+    /**
+     * Stop collecting spans
+     */
+    stop() {
+        window.performanceMonitor?.removeObserver(this.handleMeasure);
+    }
+}
+
+/**
+ * Beacon Transport
+ * Sends report batches with navigator.sendBeacon, which survives page unload
+ */
+class BeaconTransport {
+    /**
+     * @param {Object} options - Transport options
+     * @param {string} options.url - Collection endpoint
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'beacon';
+        this.url = options.url;
+    }
+    
+    /**
+     * Send a payload
+     * @param {Object} payload - Report batch
+     * @returns {Promise} Resolves once the browser accepted the beacon
+     */
+    send(payload) {
+        const blob = new Blob([JSON.stringify(payload)], { type: 'application/json' });
+        
+        // sendBeacon only reports whether the request was queued, not the response
+        if (!navigator.sendBeacon || !navigator.sendBeacon(this.url, blob)) {
+            return Promise.reject(new Error('Beacon was not queued'));
+        }
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Fetch Transport
+ * POSTs report batches as JSON and fails on non-2xx responses
+ */
+class FetchTransport {
+    /**
+     * @param {Object} options - Transport options
+     * @param {string} options.url - Collection endpoint
+     * @param {Object} options.headers - Extra request headers
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'fetch';
+        this.url = options.url;
+        this.headers = options.headers || {};
+    }
+    
+    /**
+     * Send a payload
+     * @param {Object} payload - Report batch
+     * @param {Object} options - { unload } to keep the request alive past page unload
+     * @returns {Promise} Resolves on a 2xx response
+     */
+    send(payload, { unload = false } = {}) {
+        return fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify(payload),
+            keepalive: unload
+        }).then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        });
+    }
+}
+
+/**
+ * Offline Report Queue
+ * Keeps undelivered report batches in IndexedDB until the network is back
+ */
+class OfflineReportQueue {
+    /**
+     * @param {Object} options - Queue options
+     * @param {string} options.dbName - IndexedDB database name
+     * @param {number} options.maxEntries - Oldest batches are dropped beyond this
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'performance-reports';
+        this.storeName = 'queue';
+        this.maxEntries = options.maxEntries || 100;
+        this.dbPromise = null;
+        
+        // Without IndexedDB the queue still works, it just does not survive a reload
+        this.memoryEntries = [];
+        this.nextMemoryId = 1;
+    }
+    
+    /**
+     * Open the database once
+     * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                if (!window.indexedDB) {
+                    resolve(null);
+                    return;
+                }
+                
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('⚠️ Offline report queue unavailable:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+    
+    /**
+     * Run a request against the object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     * @returns {Promise} Request result
+     */
+    withStore(mode, operation) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const request = operation(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+    }
+    
+    /**
+     * Store an undelivered batch
+     * @param {Object} entry - { transport, payload }
+     * @returns {Promise} Resolves once stored
+     */
+    add(entry) {
+        return this.open().then(db => {
+            if (!db) {
+                this.memoryEntries.push({ ...entry, id: this.nextMemoryId++ });
+                this.memoryEntries = this.memoryEntries.slice(-this.maxEntries);
+                return null;
+            }
+            
+            return this.withStore('readwrite', store => store.add(entry))
+                .then(() => this.trim());
+        });
+    }
+    
+    /**
+     * Drop the oldest batches beyond maxEntries
+     * @returns {Promise} Resolves once trimmed
+     */
+    trim() {
+        return this.withStore('readonly', store => store.getAllKeys()).then(keys => {
+            const excess = keys.slice(0, Math.max(0, keys.length - this.maxEntries));
+            return Promise.all(excess.map(key => this.remove(key)));
+        });
+    }
+    
+    /**
+     * Get all stored batches, oldest first
+     * @returns {Promise<Array>} Entries with their ids
+     */
+    getAll() {
+        return this.open().then(db => {
+            if (!db) return this.memoryEntries.slice();
+            return this.withStore('readonly', store => store.getAll());
+        });
+    }
+    
+    /**
+     * Remove a delivered batch
+     * @param {number} id - Entry id
+     * @returns {Promise} Resolves once removed
+     */
+    remove(id) {
+        return this.open().then(db => {
+            if (!db) {
+                this.memoryEntries = this.memoryEntries.filter(entry => entry.id !== id);
+                return null;
+            }
+            return this.withStore('readwrite', store => store.delete(id));
+        });
     }
 }
 
@@ -272,8 +2309,90 @@ class PerformanceBudget {
  * Generates performance reports
  */
 class PerformanceReporter {
-    constructor() {
+    /**
+     * @param {Object} options - Delivery options; without transports reports stay in memory only
+     * @param {string} options.endpoint - Collection URL; adds a beacon (or fetch) transport
+     * @param {Array} options.transports - Objects with name and send(payload, { unload }) => Promise
+     * @param {number} options.batchSize - Reports per batch
+     * @param {number} options.flushInterval - Send a partial batch after this long, in ms
+     * @param {number} options.sampleRate - Share of page views (0-1) whose reports are sent
+     * @param {number} options.maxRetries - Attempts per batch before it is parked offline
+     * @param {number} options.retryDelay - Base delay for exponential backoff, in ms
+     * @param {number} options.maxReports - Raw reports kept in memory for exportData()
+     * @param {Object} options.timeSeries - MetricsTimeSeries options
+     */
+    constructor(options = {}) {
+        // Raw reports are only the recent window; the long-term picture lives in the time series
         this.reports = [];
+        this.maxReports = options.maxReports || 100;
+        this.timeSeries = new MetricsTimeSeries(options.timeSeries);
+        this.traceRecorder = new TraceRecorder();
+        this.totalReports = 0;
+        this.budgetViolations = 0;
+        
+        this.transports = (options.transports || []).slice();
+        if (options.endpoint) {
+            this.transports.push(navigator.sendBeacon ?
+                new BeaconTransport({ url: options.endpoint }) :
+                new FetchTransport({ url: options.endpoint }));
+        }
+        this.batchSize = options.batchSize || 6;
+        this.flushInterval = options.flushInterval || 60000;
+        this.maxRetries = options.maxRetries ?? 3;
+        this.retryDelay = options.retryDelay || 1000;
+        
+        // Sampling is decided once per page view so a sampled session is complete
+        this.sampleRate = options.sampleRate ?? 1;
+        this.sampled = Math.random() < this.sampleRate;
+        
+        this.queue = [];
+        this.offlineQueue = new OfflineReportQueue();
+        this.retryTimers = new Set();
+        this.listenerCleanups = [];
+        
+        this.setupDelivery();
+    }
+    
+    /**
+     * Start the flush timer and the online / page-hide hooks
+     */
+    setupDelivery() {
+        if (this.transports.length === 0) return;
+        
+        const addEventListenerWithCleanup = window.PerformanceUtils?.addEventListenerWithCleanup ||
+            ((element, event, handler, options) => {
+                element.addEventListener(event, handler, options);
+                return () => element.removeEventListener(event, handler, options);
+            });
+        
+        this.flushTimer = setInterval(() => this.flush(), this.flushInterval);
+        
+        // Hidden may be the last event a mobile page gets; pagehide covers real unloads
+        this.listenerCleanups.push(
+            addEventListenerWithCleanup(window, 'online', () => this.flushOffline(), { passive: true }),
+            addEventListenerWithCleanup(window, 'pagehide', () => this.flush({ unload: true }), { passive: true }),
+            addEventListenerWithCleanup(document, 'visibilitychange', () => {
+                if (document.visibilityState === 'hidden') {
+                    this.flush({ unload: true });
+                }
+            }, { passive: true })
+        );
+        
+        // Deliver batches left over from earlier page views
+        if (navigator.onLine !== false) {
+            this.flushOffline();
+        }
+    }
+    
+    /**
+     * Add a transport at runtime
+     * @param {Object} transport - { name, send(payload, { unload }) => Promise }
+     */
+    addTransport(transport) {
+        this.transports.push(transport);
+        if (this.transports.length === 1) {
+            this.setupDelivery();
+        }
     }
     
     /**
@@ -295,10 +2414,108 @@ class PerformanceReporter {
             devicePixelRatio: window.devicePixelRatio || 1
         };
         
+        const values = {};
+        Object.entries(TIME_SERIES_READERS).forEach(([name, reader]) => {
+            values[name] = reader(metrics);
+        });
+        this.timeSeries.record(values);
+        
+        this.totalReports++;
+        if (budget && !budget.overall) {
+            this.budgetViolations++;
+        }
+        
         this.reports.push(report);
+        if (this.reports.length > this.maxReports) {
+            this.reports.shift();
+        }
+        
+        if (this.sampled && this.transports.length > 0) {
+            this.queue.push(report);
+            if (this.queue.length >= this.batchSize) {
+                this.flush();
+            }
+        }
         return report;
     }
     
+    /**
+     * Send queued reports as one batch to every transport
+     * @param {Object} options - { unload } when the page is going away
+     */
+    flush({ unload = false } = {}) {
+        if (this.queue.length === 0) return;
+        
+        const payload = {
+            page: window.location.href,
+            sentAt: new Date().toISOString(),
+            reports: this.queue.splice(0)
+        };
+        this.transports.forEach(transport => {
+            this.deliver(transport, payload, 0, unload)
+                .then(delivered => delivered || this.offlineQueue.add({ transport: transport.name, payload }))
+                .catch(error => {
+                    console.warn(`⚠️ Could not queue ${transport.name} report offline:`, error);
+                });
+        });
+    }
+    
+    /**
+     * Send a batch through one transport, retrying with backoff
+     * @param {Object} transport - Transport
+     * @param {Object} payload - Report batch
+     * @param {number} attempt - Attempts made so far
+     * @param {boolean} unload - Whether the page is going away
+     * @returns {Promise<boolean>} Whether the batch was delivered
+     */
+    deliver(transport, payload, attempt = 0, unload = false) {
+        return Promise.resolve()
+            .then(() => transport.send(payload, { unload }))
+            .then(() => true)
+            .catch(error => {
+                // Offline, out of retries or unloading: the caller keeps the batch for the next chance
+                if (navigator.onLine === false || unload || attempt + 1 >= this.maxRetries) {
+                    console.warn(`⚠️ Report delivery via ${transport.name} failed:`, error);
+                    return false;
+                }
+                
+                const delay = Math.min(this.retryDelay * Math.pow(2, attempt), 60000) * (0.8 + Math.random() * 0.4);
+                return new Promise(resolve => {
+                    const timer = setTimeout(() => {
+                        this.retryTimers.delete(timer);
+                        resolve(this.deliver(transport, payload, attempt + 1));
+                    }, delay);
+                    this.retryTimers.add(timer);
+                });
+            });
+    }
+    
+    /**
+     * Retry batches parked in the offline queue
+     * @returns {Promise} Resolves once every stored batch was tried
+     */
+    flushOffline() {
+        if (this.flushingOffline) return this.flushingOffline;
+        
+        this.flushingOffline = this.offlineQueue.getAll()
+            .then(entries => Promise.all(entries.map(entry => {
+                const transport = this.transports.find(candidate => candidate.name === entry.transport);
+                if (!transport) return null;
+                
+                // One attempt each; the batch stays stored until it actually went out
+                return this.deliver(transport, entry.payload, this.maxRetries - 1)
+                    .then(delivered => delivered && this.offlineQueue.remove(entry.id));
+            })))
+            .catch(error => {
+                console.warn('⚠️ Could not flush offline reports:', error);
+            })
+            .then(() => {
+                this.flushingOffline = null;
+            });
+        
+        return this.flushingOffline;
+    }
+    
     /**
      * Export performance data
      * @returns {string} JSON string of performance data
@@ -306,10 +2523,29 @@ class PerformanceReporter {
     exportData() {
         return JSON.stringify({
             reports: this.reports,
-            summary: this.generateSummary()
+            summary: this.generateSummary(),
+            history: this.timeSeries,
+            images: window.resourceTimingCollector?.getWaterfall() || null,
+            profiles: window.performanceTracker?.getProfiles() || []
         }, null, 2);
     }
     
+    /**
+     * Export spans, long frames, frames, lazy image fetches and the metric history in the Chrome Trace Event format
+     * @returns {string} Trace JSON
+     */
+    exportTrace() {
+        return JSON.stringify(this.traceRecorder.toTraceEvents({ timeSeries: this.timeSeries }));
+    }
+    
+    /**
+     * Export the metric history as CSV
+     * @returns {string} CSV
+     */
+    exportCSV() {
+        return this.timeSeries.toCSV();
+    }
+    
     /**
      * Generate summary of performance data
      * @returns {Object} Performance summary
@@ -319,42 +2555,87 @@ class PerformanceReporter {
             return {};
         }
         
-        const fpsValues = this.reports.map(r => r.metrics.fps).filter(fps => fps > 0);
-        const memoryValues = this.reports
-            .map(r => r.metrics.memory?.used)
-            .filter(memory => memory !== undefined);
-        const domNodeValues = this.reports.map(r => r.metrics.domNodes);
+        const series = {};
+        this.timeSeries.getMetricNames().forEach(name => {
+            series[name] = this.timeSeries.aggregate(name);
+        });
+        const frameStats = this.reports.map(r => r.metrics.frames).filter(Boolean);
+        const longFrameStats = this.reports.map(r => r.metrics.longFrames).filter(Boolean);
+        const latestLongFrames = longFrameStats[longFrameStats.length - 1];
+        
+        // Vitals only grow more complete over time, so the latest report has the best values
+        const latestVitals = this.reports[this.reports.length - 1].metrics.webVitals || {};
+        const webVitals = {};
+        Object.keys(latestVitals).forEach(name => {
+            webVitals[name] = latestVitals[name] ? latestVitals[name].value : null;
+        });
         
         return {
-            totalReports: this.reports.length,
-            averageFPS: fpsValues.length > 0 ? 
-                Math.round(fpsValues.reduce((a, b) => a + b, 0) / fpsValues.length) : 0,
-            averageMemory: memoryValues.length > 0 ? 
-                Math.round(memoryValues.reduce((a, b) => a + b, 0) / memoryValues.length * 100) / 100 : 0,
-            averageDOMNodes: domNodeValues.length > 0 ? 
-                Math.round(domNodeValues.reduce((a, b) => a + b, 0) / domNodeValues.length) : 0,
-            budgetViolations: this.reports.filter(r => !r.budget.overall).length
+            totalReports: this.totalReports,
+            averageFPS: series.fps ? Math.round(series.fps.avg) : 0,
+            averageMemory: series.memory ? series.memory.avg : 0,
+            averageDOMNodes: series.domNodes ? Math.round(series.domNodes.avg) : 0,
+            budgetViolations: this.budgetViolations,
+            worstP95FrameTime: series.frameTime ? series.frameTime.max : 0,
+            droppedFrames: frameStats.length > 0 ? frameStats[frameStats.length - 1].droppedFrames : 0,
+            jankBursts: frameStats.length > 0 ? frameStats[frameStats.length - 1].jankBursts : 0,
+            longFrames: latestLongFrames ? latestLongFrames.count : 0,
+            topBlockingScripts: latestLongFrames ? latestLongFrames.topScripts : [],
+            webVitals,
+            series
         };
     }
+    
+    /**
+     * Stop span collection, delivery timers and listeners
+     */
+    cleanup() {
+        this.traceRecorder.stop();
+        clearInterval(this.flushTimer);
+        this.retryTimers.forEach(timer => clearTimeout(timer));
+        this.retryTimers.clear();
+        this.listenerCleanups.forEach(removeListener => removeListener());
+        this.listenerCleanups = [];
+    }
 }
 
 // Initialize performance tracking when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     window.performanceTracker = new PerformanceTracker();
     window.performanceBudget = new PerformanceBudget();
-    window.performanceReporter = new PerformanceReporter();
+    window.performanceBudget.loadConfig('performance-budgets.json');
     
-    // Generate periodic reports
-    setInterval(() => {
+    // ?profile keeps a sampling profiler running and keeps the stacks behind each long frame
+    if (new URLSearchParams(window.location.search).has('profile')) {
+        window.performanceTracker.startAutoProfiling();
+    }
+    
+    // The collector is set by the page, never by the URL, so a link cannot redirect telemetry
+    const reportEndpoint = document.querySelector('meta[name="performance-report-endpoint"]')?.content;
+    window.performanceReporter = new PerformanceReporter(reportEndpoint ? { endpoint: reportEndpoint } : {});
+    
+    const generateReport = () => {
         const metrics = window.performanceTracker.getMetrics();
         const budget = window.performanceBudget.checkBudget(metrics);
         window.performanceReporter.generateReport(metrics, budget);
-    }, 10000); // Every 10 seconds
+    };
+    
+    // Generate periodic reports
+    setInterval(generateReport, 10000); // Every 10 seconds
+    
+    // Hiding the page finalizes web vitals, so capture them in one last report
+    window.performanceMonitor.addObserver((metric) => {
+        if (metric === 'webVitals') {
+            generateReport();
+        }
+    });
 });
 
 // Cleanup on page unload
 window.addEventListener('beforeunload', () => {
     if (window.performanceTracker) {
         window.performanceTracker.cleanup();
+        window.performanceTracker.stopWebVitalsTracking();
+        window.performanceTracker.stopAutoProfiling();
     }
 }); 
\ No newline at end of file
@@ -72,21 +72,123 @@ function cancelAnimationFramePolyfill(id) {
     }
 }
 
+// Per-name timings collected by measurePerformance; 'verbose' mode also logs every call
+const measurementRegistry = new Map();
+const MEASUREMENT_SAMPLE_SIZE = 200;
+let measurementMode = 'silent';
+
 /**
  * Performance measurement utility
  * @param {string} name - The name of the measurement
- * @param {Function} fn - The function to measure
+ * @param {Function} fn - The function to measure; a returned promise is timed until it settles
  * @returns {any} The result of the function
  */
 function measurePerformance(name, fn) {
     const start = performance.now();
-    const result = fn();
-    const end = performance.now();
+    let result;
+    
+    try {
+        result = fn();
+    } catch (error) {
+        recordMeasurement(name, start, performance.now() - start, true);
+        throw error;
+    }
+    
+    if (result && typeof result.then === 'function') {
+        return result.then(
+            value => {
+                recordMeasurement(name, start, performance.now() - start, false);
+                return value;
+            },
+            error => {
+                recordMeasurement(name, start, performance.now() - start, true);
+                throw error;
+            }
+        );
+    }
     
-    console.log(`${name} took ${(end - start).toFixed(2)}ms`);
+    recordMeasurement(name, start, performance.now() - start, false);
     return result;
 }
 
+/**
+ * Add one timing to the registry and tell observers
+ * @param {string} name - The name of the measurement
+ * @param {number} start - Start time (performance.now() timeline)
+ * @param {number} duration - Duration in milliseconds
+ * @param {boolean} failed - Whether the function threw or its promise rejected
+ */
+function recordMeasurement(name, start, duration, failed) {
+    let entry = measurementRegistry.get(name);
+    if (!entry) {
+        entry = { count: 0, total: 0, max: 0, errors: 0, samples: [] };
+        measurementRegistry.set(name, entry);
+    }
+    
+    entry.count++;
+    entry.total += duration;
+    entry.max = Math.max(entry.max, duration);
+    if (failed) entry.errors++;
+    
+    // Percentiles come from the most recent calls only
+    entry.samples.push(duration);
+    if (entry.samples.length > MEASUREMENT_SAMPLE_SIZE) {
+        entry.samples.shift();
+    }
+    
+    if (measurementMode === 'verbose') {
+        console.log(`${name} took ${duration.toFixed(2)}ms${failed ? ' (failed)' : ''}`);
+    }
+    window.performanceMonitor?.notify('measure', { name, duration, startTime: start, source: 'measurePerformance' });
+}
+
+/**
+ * Aggregated measurePerformance timings
+ * @returns {Array} Rows { name, count, mean, p95, max, total, errors }, most total time first
+ */
+function getMeasurementStats() {
+    const round = (value) => Math.round(value * 100) / 100;
+    
+    return Array.from(measurementRegistry.entries()).map(([name, entry]) => {
+        const sorted = entry.samples.slice().sort((a, b) => a - b);
+        const p95 = sorted[Math.max(0, Math.ceil(sorted.length * 0.95) - 1)];
+        
+        return {
+            name,
+            count: entry.count,
+            mean: round(entry.total / entry.count),
+            p95: round(p95),
+            max: round(entry.max),
+            total: round(entry.total),
+            errors: entry.errors
+        };
+    }).sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Forget aggregated timings
+ * @param {string} name - Only reset this measurement; all of them when omitted
+ */
+function resetMeasurementStats(name) {
+    if (name) {
+        measurementRegistry.delete(name);
+    } else {
+        measurementRegistry.clear();
+    }
+}
+
+/**
+ * Choose whether measurePerformance logs every call
+ * @param {string} mode - 'silent' (aggregate only) or 'verbose' (aggregate and log)
+ */
+function setMeasurementMode(mode) {
+    if (mode !== 'silent' && mode !== 'verbose') {
+        console.warn(`⚠️ Unknown measurement mode "${mode}", expected 'silent' or 'verbose'`);
+        return;
+    }
+    measurementMode = mode;
+}
+
 /**
  * Memory usage utility (if available)
  * @returns {Object|null} Memory usage information
@@ -102,6 +204,28 @@ function getMemoryUsage() {
     return null;
 }
 
+/**
+ * Heap measurement that works beyond Chrome's performance.memory
+ * @returns {Promise<Object|null>} { used (MB), source }, or null when the heap cannot be measured
+ */
+function measureMemory() {
+    // The standard API needs cross-origin isolation and may wait for the next GC
+    if (window.crossOriginIsolated && performance.measureUserAgentSpecificMemory) {
+        return performance.measureUserAgentSpecificMemory()
+            .then(result => ({
+                used: Math.round(result.bytes / 1048576 * 100) / 100,
+                source: 'measureUserAgentSpecificMemory'
+            }))
+            .catch(() => {
+                const memory = getMemoryUsage();
+                return memory ? { used: memory.used, source: 'performance.memory' } : null;
+            });
+    }
+    
+    const memory = getMemoryUsage();
+    return Promise.resolve(memory ? { used: memory.used, source: 'performance.memory' } : null);
+}
+
 /**
  * DOM node counter utility
  * @returns {number} The number of DOM nodes
@@ -215,7 +339,7 @@ function addEventListenerWithCleanup(element, event, handler, options = {}) {
 /**
  * Intersection Observer utility for lazy loading
  * @param {Element} element - The element to observe
- * @param {Function} callback - The callback when element is visible
+ * @param {Function} callback - Called with (element, entry) when the element is visible
  * @param {Object} options - Observer options
  * @returns {IntersectionObserver} The observer instance
  */
@@ -230,7 +354,7 @@ function createIntersectionObserver(element, callback, options = {}) {
     const observer = new IntersectionObserver((entries) => {
         entries.forEach(entry => {
             if (entry.isIntersecting) {
-                callback(entry.target);
+                callback(entry.target, entry);
                 observer.unobserve(entry.target);
             }
         });
@@ -302,16 +426,26 @@ function interpolate(template, data) {
  */
 class PerformanceMonitor {
     constructor() {
+        // Open spans per name, innermost last, so recursive start(name) calls do not clobber each other
         this.metrics = new Map();
         this.observers = [];
+        this.openSpans = new Map();
+        this.activeSpans = [];
+        this.nextSpanId = 1;
     }
     
     /**
      * Start measuring performance
      * @param {string} name - The metric name
+     * @param {Object} attributes - Attributes attached to the span
+     * @returns {number} The span id
      */
-    start(name) {
-        this.metrics.set(name, performance.now());
+    start(name, attributes = {}) {
+        const span = this.startSpan(name, { attributes });
+        const stack = this.metrics.get(name) || [];
+        stack.push(span.id);
+        this.metrics.set(name, stack);
+        return span.id;
     }
     
     /**
@@ -320,23 +454,168 @@ class PerformanceMonitor {
      * @returns {number} The duration in milliseconds
      */
     end(name) {
-        const startTime = this.metrics.get(name);
-        if (startTime) {
-            const duration = performance.now() - startTime;
+        const stack = this.metrics.get(name);
+        if (!stack || stack.length === 0) return 0;
+        
+        const id = stack.pop();
+        if (stack.length === 0) {
             this.metrics.delete(name);
-            return duration;
         }
-        return 0;
+        
+        const span = this.endSpan(id);
+        return span ? span.duration : 0;
+    }
+    
+    /**
+     * Start a span; it nests under the innermost open span unless a parent is given
+     * @param {string} name - Span name, shown in the browser's Performance panel
+     * @param {Object} options - { attributes, parent (span or id, null for a root span) }
+     * @returns {Object} The open span
+     */
+    startSpan(name, { attributes = {}, parent } = {}) {
+        const parentSpan = parent === undefined ?
+            this.activeSpans[this.activeSpans.length - 1] :
+            this.openSpans.get(parent?.id ?? parent);
+        
+        const span = {
+            id: this.nextSpanId++,
+            name,
+            parentId: parentSpan ? parentSpan.id : null,
+            childIds: [],
+            startTime: performance.now(),
+            duration: null,
+            attributes: { ...attributes }
+        };
+        span.markName = `${name}:start:${span.id}`;
+        span.measureName = `${name}:${span.id}`;
+        
+        if (parentSpan) {
+            parentSpan.childIds.push(span.id);
+        }
+        this.openSpans.set(span.id, span);
+        this.activeSpans.push(span);
+        
+        try {
+            performance.mark(span.markName, { startTime: span.startTime });
+        } catch (error) {
+            // User Timing is best effort; spans still reach observers without it
+        }
+        return span;
+    }
+    
+    /**
+     * End a span and hand it to observers
+     * @param {Object|number} spanOrId - Span returned by startSpan, or its id
+     * @param {Object} attributes - Attributes to add on completion
+     * @returns {Object|null} The completed span, or null if it was not open
+     */
+    endSpan(spanOrId, attributes = {}) {
+        const id = spanOrId?.id ?? spanOrId;
+        const span = this.openSpans.get(id);
+        if (!span) return null;
+        
+        const endTime = performance.now();
+        span.duration = endTime - span.startTime;
+        Object.assign(span.attributes, attributes);
+        
+        // Async spans can end out of order, so remove this one wherever it sits
+        this.openSpans.delete(id);
+        this.activeSpans = this.activeSpans.filter(active => active !== span);
+        
+        // Unique per span, so clearing it below cannot touch other spans' or other code's entries
+        let entry = null;
+        try {
+            entry = performance.measure(span.measureName, {
+                start: span.markName,
+                end: endTime,
+                detail: { id: span.id, name: span.name, parentId: span.parentId, attributes: span.attributes }
+            }) || null;
+            performance.clearMarks(span.markName);
+        } catch (error) {
+            // Older browsers only support measure(name, startMark); observers still get the span
+        }
+        
+        const completed = {
+            id: span.id,
+            name: span.name,
+            parentId: span.parentId,
+            childIds: span.childIds.slice(),
+            startTime: span.startTime,
+            duration: span.duration,
+            attributes: { ...span.attributes },
+            entry
+        };
+        this.notify('span', completed);
+        this.notify('measure', {
+            name: span.name,
+            duration: span.duration,
+            startTime: span.startTime,
+            source: 'monitor',
+            id: span.id,
+            parentId: span.parentId,
+            attributes: completed.attributes
+        });
+        
+        // DevTools and PerformanceObservers already have the measure; left in the timeline buffer,
+        // every span would stay in memory for the page's lifetime
+        if (entry) {
+            performance.clearMeasures(span.measureName);
+        }
+        return completed;
+    }
+    
+    /**
+     * Run a function inside a span; promises end the span when they settle
+     * @param {string} name - Span name
+     * @param {Function} fn - Receives the open span
+     * @param {Object} attributes - Attributes attached to the span
+     * @returns {any} The function's result
+     */
+    withSpan(name, fn, attributes = {}) {
+        const span = this.startSpan(name, { attributes });
+        let result;
+        try {
+            result = fn(span);
+        } catch (error) {
+            this.endSpan(span, { error: error.message });
+            throw error;
+        }
+        
+        if (result && typeof result.then === 'function') {
+            // The caller's code after an await is not inside this span
+            this.activeSpans = this.activeSpans.filter(active => active !== span);
+            return result.then(
+                value => {
+                    this.endSpan(span);
+                    return value;
+                },
+                error => {
+                    this.endSpan(span, { error: error?.message || String(error) });
+                    throw error;
+                }
+            );
+        }
+        
+        this.endSpan(span);
+        return result;
     }
     
     /**
      * Add performance observer
-     * @param {Function} callback - The callback function
+     * @param {Function} callback - Called with (metric, value); completed spans arrive as ('span', span)
      */
     addObserver(callback) {
         this.observers.push(callback);
     }
     
+    /**
+     * Remove performance observer
+     * @param {Function} callback - The callback passed to addObserver
+     */
+    removeObserver(callback) {
+        this.observers = this.observers.filter(observer => observer !== callback);
+    }
+    
     /**
      * Notify observers
      * @param {string} metric - The metric name
@@ -357,7 +636,11 @@ window.PerformanceUtils = {
     requestAnimationFramePolyfill,
     cancelAnimationFramePolyfill,
     measurePerformance,
+    getMeasurementStats,
+    resetMeasurementStats,
+    setMeasurementMode,
     getMemoryUsage,
+    measureMemory,
     countDOMNodes,
     $,
     $$,
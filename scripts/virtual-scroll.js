@@ -3,70 +3,2750 @@
  * Efficiently renders large datasets by only rendering visible items
  */
 
-class VirtualScroller {
+/**
+ * Item Height Index
+ * Prefix-sum (Fenwick) tree over row heights for O(log n) offset and index lookups
+ */
+class ItemHeightIndex {
     constructor() {
-        this.container = document.getElementById('virtual-container');
-        this.data = [];
-        this.itemHeight = 60;
-        this.visibleItems = 10;
+        this.heights = [];
+        this.tree = new Float64Array(1);
+        this.count = 0;
+    }
+    
+    /**
+     * Rebuild the index from a list of heights in O(n)
+     * @param {Array<number>} heights - Height of every row, in order
+     */
+    reset(heights) {
+        this.heights = heights.slice();
+        this.count = heights.length;
+        this.tree = new Float64Array(this.count + 1);
+        
+        for (let i = 1; i <= this.count; i++) {
+            this.tree[i] += this.heights[i - 1];
+            const parent = i + (i & -i);
+            if (parent <= this.count) {
+                this.tree[parent] += this.tree[i];
+            }
+        }
+    }
+    
+    /**
+     * Update the height of a single row
+     * @param {number} index - Row index
+     * @param {number} height - New height in pixels
+     * @returns {number} Height delta applied
+     */
+    setHeight(index, height) {
+        if (index < 0 || index >= this.count) return 0;
+        
+        const delta = height - this.heights[index];
+        if (delta === 0) return 0;
+        
+        this.heights[index] = height;
+        for (let i = index + 1; i <= this.count; i += i & -i) {
+            this.tree[i] += delta;
+        }
+        return delta;
+    }
+    
+    /**
+     * Get the height of a row
+     * @param {number} index - Row index
+     * @returns {number} Row height
+     */
+    getHeight(index) {
+        return this.heights[index] || 0;
+    }
+    
+    /**
+     * Get the top offset of a row (sum of all heights before it)
+     * @param {number} index - Row index
+     * @returns {number} Offset in pixels
+     */
+    getOffset(index) {
+        let sum = 0;
+        for (let i = Math.min(index, this.count); i > 0; i -= i & -i) {
+            sum += this.tree[i];
+        }
+        return sum;
+    }
+    
+    /**
+     * Get the combined height of all rows
+     * @returns {number} Total height in pixels
+     */
+    getTotalHeight() {
+        return this.getOffset(this.count);
+    }
+    
+    /**
+     * Find the row containing a given offset
+     * @param {number} offset - Offset in pixels
+     * @returns {number} Row index
+     */
+    findIndex(offset) {
+        if (this.count === 0 || offset <= 0) return 0;
+        
+        // Binary lifting over the tree: walk down while the prefix still fits
+        let position = 0;
+        let remaining = offset;
+        let step = 1;
+        while (step * 2 <= this.count) step *= 2;
+        
+        for (; step > 0; step >>= 1) {
+            const next = position + step;
+            if (next <= this.count && this.tree[next] <= remaining) {
+                position = next;
+                remaining -= this.tree[next];
+            }
+        }
+        
+        return Math.min(position, this.count - 1);
+    }
+}
+
+/**
+ * Paged Data Source
+ * Loads items on demand through an async fetchPage(offset, limit) provider
+ */
+class PagedDataSource {
+    /**
+     * @param {Object} options - Data source options
+     * @param {Function} options.fetchPage - (offset, limit) => Promise of an item array or { items, total }
+     * @param {number} options.pageSize - Items per page
+     * @param {number} options.totalCount - Known total, if the backend reports it up front
+     * @param {number} options.maxLoadedPages - Pages kept in memory before far-away ones are evicted
+     * @param {number} options.maxRetries - Retries per failed page before giving up
+     * @param {number} options.retryDelay - Base retry delay in milliseconds, doubled per attempt
+     * @param {Function} options.onChange - Called with { pageIndex, countChanged } when pages land or fail
+     */
+    constructor(options = {}) {
+        this.fetchPage = options.fetchPage;
+        this.pageSize = options.pageSize || 100;
+        this.totalCount = options.totalCount ?? null;
+        this.estimatedCount = options.totalCount ?? this.pageSize;
+        this.maxLoadedPages = options.maxLoadedPages || 10;
+        this.maxRetries = options.maxRetries ?? 3;
+        this.retryDelay = options.retryDelay || 1000;
+        this.onChange = options.onChange || (() => {});
+        
+        this.pages = new Map();
+        this.inFlight = new Map();
+        this.failures = new Map();
+        this.requestedRange = { start: 0, end: 0 };
+        this.requestToken = 0;
+        
+        // Local edits sit on top of the backend pages, which they do not change: removed backend
+        // offsets per page, and items added after the backend's last item
+        this.removedOffsets = new Map();
+        this.removedCount = 0;
+        this.appendedItems = [];
+    }
+    
+    /**
+     * Get the known or estimated item count, local edits included
+     * @returns {number} Item count
+     */
+    getCount() {
+        return Math.max(0, this.getBackendCount() - this.removedCount) + this.appendedItems.length;
+    }
+    
+    /**
+     * Get the known or estimated number of items on the backend
+     * @returns {number} Backend item count
+     */
+    getBackendCount() {
+        return this.totalCount !== null ? this.totalCount : this.estimatedCount;
+    }
+    
+    /**
+     * Find where an item lives once local removals and additions are accounted for
+     * @param {number} index - Item index
+     * @returns {Object} { pageIndex, offset } into a backend page, or { appendedIndex }
+     */
+    locate(index) {
+        const backendItems = this.getBackendCount() - this.removedCount;
+        if (index >= backendItems) {
+            return { appendedIndex: index - backendItems };
+        }
+        
+        // Removals only pull pages forward, so the page is at or after the unedited one
+        let pageIndex = Math.floor(Math.max(0, index) / this.pageSize);
+        while (this.getPageStart(pageIndex + 1) <= index) {
+            pageIndex++;
+        }
+        return { pageIndex, offset: index - this.getPageStart(pageIndex) };
+    }
+    
+    /**
+     * Item index of the first item of a backend page
+     * @param {number} pageIndex - Page index
+     * @returns {number} Item index
+     */
+    getPageStart(pageIndex) {
+        let removedBefore = 0;
+        this.removedOffsets.forEach((offsets, editedPage) => {
+            if (editedPage < pageIndex) removedBefore += offsets.size;
+        });
+        return pageIndex * this.pageSize - removedBefore;
+    }
+    
+    /**
+     * Get a loaded item
+     * @param {number} index - Item index
+     * @returns {Object|undefined} Item data, or undefined while its page is not loaded
+     */
+    getItem(index) {
+        const location = this.locate(index);
+        if (location.appendedIndex !== undefined) {
+            return this.appendedItems[location.appendedIndex];
+        }
+        
+        const page = this.pages.get(location.pageIndex);
+        return page ? page.items[location.offset] : undefined;
+    }
+    
+    /**
+     * Get the load state of the page holding an item
+     * @param {number} index - Item index
+     * @returns {string} 'loaded', 'loading', 'error' or 'idle'
+     */
+    getState(index) {
+        if (this.getItem(index) !== undefined) return 'loaded';
+        
+        const { pageIndex } = this.locate(index);
+        if (this.inFlight.has(pageIndex) || this.failures.get(pageIndex)?.timer) return 'loading';
+        if (this.failures.has(pageIndex)) return 'error';
+        return 'idle';
+    }
+    
+    /**
+     * Number of items the backend should return for a page given its count
+     * @param {number} pageIndex - Page index
+     * @returns {number} Expected item count
+     */
+    getExpectedPageLength(pageIndex) {
+        const offset = pageIndex * this.pageSize;
+        return Math.max(0, Math.min(this.pageSize, this.getBackendCount() - offset));
+    }
+    
+    /**
+     * Request every page intersecting a range and evict pages far away from it
+     * @param {number} start - First item index
+     * @param {number} end - Item index past the last one
+     */
+    ensureRange(start, end) {
+        this.requestedRange = { start, end };
+        
+        // Items added locally need no page, so the range is clamped to the backend's items
+        const backendItems = this.getBackendCount() - this.removedCount;
+        const first = Math.min(Math.max(0, start), Math.max(0, backendItems - 1));
+        const last = Math.max(first, Math.min(end, backendItems) - 1);
+        const firstPage = backendItems > 0 ? this.locate(first).pageIndex : 0;
+        const lastPage = backendItems > 0 ? this.locate(last).pageIndex : 0;
+        const now = performance.now();
+        
+        for (let pageIndex = firstPage; pageIndex <= lastPage; pageIndex++) {
+            const page = this.pages.get(pageIndex);
+            if (page) {
+                page.lastUsed = now;
+            }
+            
+            // Judged by what the backend sent, so pages shortened by local removals are not refetched
+            const isComplete = page && page.backendLength >= this.getExpectedPageLength(pageIndex);
+            if (!isComplete && !this.failures.has(pageIndex)) {
+                this.loadPage(pageIndex);
+            }
+        }
+        
+        this.evictPages(firstPage, lastPage);
+    }
+    
+    /**
+     * Load a page, sharing any request already in flight for it
+     * @param {number} pageIndex - Page index
+     * @returns {Promise} Resolves once the page has landed or failed
+     */
+    loadPage(pageIndex) {
+        if (this.inFlight.has(pageIndex)) {
+            return this.inFlight.get(pageIndex).promise;
+        }
+        
+        const token = ++this.requestToken;
+        const offset = pageIndex * this.pageSize;
+        
+        const promise = Promise.resolve()
+            .then(() => this.fetchPage(offset, this.pageSize))
+            .then((result) => {
+                // Responses for pages invalidated in the meantime carry stale offsets
+                if (this.inFlight.get(pageIndex)?.token !== token) return;
+                this.inFlight.delete(pageIndex);
+                this.receivePage(pageIndex, result);
+            })
+            .catch((error) => {
+                if (this.inFlight.get(pageIndex)?.token !== token) return;
+                this.inFlight.delete(pageIndex);
+                this.handlePageError(pageIndex, error);
+            });
+        
+        this.inFlight.set(pageIndex, { promise, token });
+        return promise;
+    }
+    
+    /**
+     * Store a fetched page and update the count
+     * @param {number} pageIndex - Page index
+     * @param {Array|Object} result - Item array or { items, total }
+     */
+    receivePage(pageIndex, result) {
+        const items = Array.isArray(result) ? result : (result?.items || []);
+        const previousCount = this.getCount();
+        
+        if (result && typeof result.total === 'number') {
+            this.totalCount = result.total;
+        } else if (this.totalCount === null) {
+            const loadedEnd = pageIndex * this.pageSize + items.length;
+            if (items.length < this.pageSize) {
+                // A short page marks the end of the dataset
+                this.totalCount = loadedEnd;
+            } else if (loadedEnd >= this.estimatedCount) {
+                // A full page at the end of the estimate means there is at least one more
+                this.estimatedCount = loadedEnd + this.pageSize;
+            }
+        }
+        
+        // Items removed locally stay removed when their page is fetched again
+        const removed = this.removedOffsets.get(pageIndex);
+        this.failures.delete(pageIndex);
+        this.pages.set(pageIndex, {
+            items: removed ? items.filter((_, offset) => !removed.has(offset)) : items.slice(),
+            backendLength: items.length,
+            lastUsed: performance.now()
+        });
+        
+        this.onChange({ pageIndex, countChanged: this.getCount() !== previousCount });
+    }
+    
+    /**
+     * Schedule a retry with exponential backoff, or give up after maxRetries
+     * @param {number} pageIndex - Page index
+     * @param {Error} error - Fetch error
+     */
+    handlePageError(pageIndex, error) {
+        const attempts = (this.failures.get(pageIndex)?.attempts || 0) + 1;
+        
+        if (attempts > this.maxRetries) {
+            console.error(`❌ Page ${pageIndex} failed after ${this.maxRetries} retries:`, error);
+            this.failures.set(pageIndex, { attempts, timer: null });
+            this.onChange({ pageIndex, countChanged: false });
+            return;
+        }
+        
+        console.warn(`⚠️ Page ${pageIndex} failed, retrying (attempt ${attempts}):`, error);
+        const timer = setTimeout(() => {
+            this.failures.set(pageIndex, { attempts, timer: null });
+            this.loadPage(pageIndex);
+        }, this.retryDelay * Math.pow(2, attempts - 1));
+        
+        this.failures.set(pageIndex, { attempts, timer });
+    }
+    
+    /**
+     * Retry pages that exhausted their retries, if they are still in the requested range
+     */
+    retryFailedPages() {
+        this.failures.forEach(({ timer }, pageIndex) => {
+            if (timer) return;
+            this.failures.delete(pageIndex);
+        });
+        this.ensureRange(this.requestedRange.start, this.requestedRange.end);
+    }
+    
+    /**
+     * Evict the least recently used pages outside the requested range over the memory cap
+     * @param {number} firstPage - First page in the requested range
+     * @param {number} lastPage - Last page in the requested range
+     */
+    evictPages(firstPage, lastPage) {
+        if (this.pages.size <= this.maxLoadedPages) return;
+        
+        const candidates = Array.from(this.pages.entries())
+            .filter(([pageIndex]) => pageIndex < firstPage || pageIndex > lastPage)
+            .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+        
+        while (this.pages.size > this.maxLoadedPages && candidates.length > 0) {
+            this.pages.delete(candidates.shift()[0]);
+        }
+    }
+    
+    /**
+     * Update a loaded item
+     * @param {number} index - Item index
+     * @param {Object} newData - Fields to merge
+     * @returns {Object|null} Updated item, or null if its page is not loaded
+     */
+    updateItem(index, newData) {
+        const location = this.locate(index);
+        
+        if (location.appendedIndex !== undefined) {
+            const item = this.appendedItems[location.appendedIndex];
+            if (item === undefined) return null;
+            
+            const updated = { ...item, ...newData };
+            this.appendedItems = this.appendedItems.slice();
+            this.appendedItems[location.appendedIndex] = updated;
+            return updated;
+        }
+        
+        const page = this.pages.get(location.pageIndex);
+        if (!page || page.items[location.offset] === undefined) return null;
+        
+        const updated = { ...page.items[location.offset], ...newData };
+        page.items = page.items.slice();
+        page.items[location.offset] = updated;
+        return updated;
+    }
+    
+    /**
+     * Append an item after the backend's last item
+     * @param {Object} item - New item
+     */
+    addItem(item) {
+        this.appendedItems = [...this.appendedItems, item];
+    }
+    
+    /**
+     * Remove an item; its page does not need to be loaded
+     * @param {number} index - Item index
+     */
+    removeItem(index) {
+        const location = this.locate(index);
+        
+        if (location.appendedIndex !== undefined) {
+            this.appendedItems = this.appendedItems.filter((_, i) => i !== location.appendedIndex);
+            return;
+        }
+        
+        // Map the position among the page's remaining items back to its backend offset
+        const { pageIndex, offset } = location;
+        const removed = this.removedOffsets.get(pageIndex) || new Set();
+        let backendOffset = -1;
+        for (let remaining = offset; remaining >= 0; remaining--) {
+            do {
+                backendOffset++;
+            } while (removed.has(backendOffset));
+        }
+        
+        removed.add(backendOffset);
+        this.removedOffsets.set(pageIndex, removed);
+        this.removedCount++;
+        
+        const page = this.pages.get(pageIndex);
+        if (page) {
+            page.items = page.items.filter((_, i) => i !== offset);
+        }
+    }
+    
+    /**
+     * Cancel pending retries
+     */
+    cleanup() {
+        this.failures.forEach(({ timer }) => {
+            if (timer) clearTimeout(timer);
+        });
+        this.failures.clear();
+        this.inFlight.clear();
+        this.pages.clear();
+    }
+}
+
+/**
+ * Create an in-memory fetchPage provider for demos and tests
+ * @param {Array} items - Items to serve
+ * @param {Object} options - Stub options
+ * @param {number} options.latency - Simulated latency in milliseconds
+ * @param {number} options.failureRate - Probability (0-1) that a request rejects
+ * @returns {Function} fetchPage(offset, limit) provider
+ */
+function createLocalPageFetcher(items, { latency = 150, failureRate = 0 } = {}) {
+    return (offset, limit) => new Promise((resolve, reject) => {
+        setTimeout(() => {
+            if (Math.random() < failureRate) {
+                reject(new Error(`Simulated failure loading items ${offset}-${offset + limit}`));
+                return;
+            }
+            resolve({ items: items.slice(offset, offset + limit), total: items.length });
+        }, latency);
+    });
+}
+
+/**
+ * Set an attribute only when its value changes, so untouched rows cause no mutations
+ * @param {Element} element - Target element
+ * @param {string} name - Attribute name
+ * @param {string} value - Attribute value
+ */
+function setAttributeIfChanged(element, name, value) {
+    if (element.getAttribute(name) !== value) {
+        element.setAttribute(name, value);
+    }
+}
+
+/**
+ * Virtual Group Header
+ * Marks a group header row in the VirtualScroller view index
+ */
+class VirtualGroupHeader {
+    constructor(key, count, collapsed) {
+        this.key = key;
+        this.count = count;
+        this.collapsed = collapsed;
+    }
+}
+
+/**
+ * Generate sample items for the demo list
+ * @param {number} count - Number of items to generate
+ * @returns {Array} Sample items
+ */
+function generateSampleItems(count) {
+    return Array.from({ length: count }, (_, index) => ({
+        id: index + 1,
+        title: `Item ${index + 1}`,
+        description: `This is item number ${index + 1} in the virtual list`,
+        timestamp: new Date(Date.now() - Math.random() * 1000000000).toISOString(),
+        status: index % 3 === 0 ? 'active' : index % 3 === 1 ? 'pending' : 'completed'
+    }));
+}
+
+class VirtualScroller {
+    /**
+     * @param {Object} options - Scroller options
+     * @param {Element} options.container - Scrollable container (defaults to #virtual-container)
+     * @param {Array} options.data - Source items; never mutated, edits are copy-on-write
+     * @param {Function} options.renderItem - (item, index, recycledEl) => Element; patch and return
+     *     recycledEl when given, otherwise build a new row
+     * @param {Function} options.getKey - (item, index) => stable key (defaults to item.id)
+     * @param {number} options.itemHeight - Row height in fixed-height mode
+     * @param {number} options.visibleItems - Rows the container is sized to show
+     * @param {number} options.overscan - Extra rows rendered below the viewport
+     * @param {boolean} options.variableHeight - Measure rows after render instead of using a fixed height
+     * @param {number} options.estimatedItemHeight - Height assumed for rows not measured yet
+     * @param {Array<string>} options.searchFields - Item fields matched by the text query
+     * @param {Function} options.fetchPage - (offset, limit) => Promise; loads items on demand
+     *     instead of options.data (see PagedDataSource for the paging options)
+     * @param {number} options.fetchOverscan - Rows above and below the viewport to prefetch
+     * @param {Function} options.renderSkeleton - (index, recycledEl, state) => Element for rows
+     *     whose page has not loaded; state is 'loading', 'error' or 'idle'
+     * @param {string} options.selectionMode - 'none', 'single' or 'multiple'
+     * @param {string} options.label - Accessible name for the grid
+     * @param {string|Function} options.groupBy - Field name or (item) => group key
+     * @param {Function} options.renderGroupHeader - (group, recycledEl) => Element, where group is
+     *     { key, count, collapsed }
+     * @param {Array} options.collapsedGroups - Group keys that start collapsed
+     * @param {string} options.persistState - 'sessionStorage' or 'hash' to save the scroll
+     *     position while scrolling and restore it on load
+     * @param {string} options.stateKey - Storage key or hash parameter for the saved state
+     * @param {boolean} options.reverse - Chat-style list: starts at the newest (last) row, sticks
+     *     to the bottom as rows are appended and loads older rows when scrolled to the top
+     * @param {Function} options.onReachStart - () => Promise<Array>; older items to prepend,
+     *     an empty array once there are no more
+     * @param {number} options.startThreshold - Distance from the top, in px, that triggers onReachStart
+     */
+    constructor(options = {}) {
+        this.container = options.container || document.getElementById('virtual-container');
+        this.sourceData = options.data || [];
+        this.maxItemId = 0;
+        this.trackItemIds(this.sourceData);
+        this.itemHeight = options.itemHeight || 60;
+        this.visibleItems = options.visibleItems || 10;
+        this.scrollTop = 0;
+        this.startIndex = 0;
+        this.endIndex = 0;
+        this.overscan = options.overscan ?? 2;
+        
+        // Row markup and identity are pluggable; the defaults render the demo item shape
+        this.renderItem = options.renderItem || ((item, index, recycledEl) => {
+            return this.renderDefaultItem(item, index, recycledEl);
+        });
+        this.getKey = options.getKey || ((item, index) => {
+            return item && item.id !== undefined ? item.id : index;
+        });
+        
+        // Variable-height mode: measured heights are cached per item key
+        this.variableHeight = options.variableHeight || false;
+        this.estimatedItemHeight = options.estimatedItemHeight || this.itemHeight;
+        this.measuredHeights = new Map();
+        this.heightIndex = new ItemHeightIndex();
+        this.scrollTarget = null;
+        
+        // Keyed row recycling: rendered rows by item key, detached rows ready for reuse
+        this.renderedItems = new Map();
+        this.rowPools = { item: [], skeleton: [], header: [] };
+        this.itemParts = new WeakMap();
+        this.hoveredItem = null;
+        this.lastRenderStats = { created: 0, recycled: 0, reused: 0 };
+        this.listenerCleanups = [];
+        
+        // View layer: source indices of the rows currently shown, null when unfiltered and unsorted
+        this.viewIndex = null;
+        this.filterPredicate = null;
+        this.sortComparator = null;
+        this.query = '';
+        this.searchFields = options.searchFields || ['title', 'description'];
+        
+        // Paged mode: items come from an async provider and unloaded rows render as skeletons
+        this.dataSource = options.fetchPage ? new PagedDataSource({
+            fetchPage: options.fetchPage,
+            pageSize: options.pageSize,
+            totalCount: options.totalCount,
+            maxLoadedPages: options.maxLoadedPages,
+            maxRetries: options.maxRetries,
+            retryDelay: options.retryDelay,
+            onChange: (change) => this.handlePageChange(change)
+        }) : null;
+        this.fetchOverscan = options.fetchOverscan ?? 20;
+        this.renderSkeleton = options.renderSkeleton || ((index, recycledEl, state) => {
+            return this.renderDefaultSkeleton(index, recycledEl, state);
+        });
+        this.pageRenderPending = false;
+        this.pageCountChanged = false;
+        this.renderDeferred = false;
+        
+        // Keyboard and selection: the active row is a view index, selection is tracked by item key
+        this.selectionMode = options.selectionMode || 'multiple';
+        this.label = options.label || 'Virtual list';
+        this.activeIndex = -1;
+        this.selectionAnchor = -1;
+        this.selectedKeys = new Set();
+        this.rowIdPrefix = `virtual-row-${Math.random().toString(36).slice(2, 8)}`;
+        
+        // Grouping: header rows live in the view index; collapsing only re-derives that index
+        this.groupBy = typeof options.groupBy === 'string' ?
+            ((item) => item[options.groupBy]) : (options.groupBy || null);
+        this.renderGroupHeader = options.renderGroupHeader || ((group, recycledEl) => {
+            return this.renderDefaultGroupHeader(group, recycledEl);
+        });
+        this.collapsedGroups = new Set(options.collapsedGroups || []);
+        this.groups = new Map();
+        this.groupHeaderIndices = [];
+        this.stickyGroupKey = null;
+        
+        // Scroll restoration: position is stored as an anchor row key plus the offset into it
+        this.persistState = options.persistState || null;
+        this.stateKey = options.stateKey || `virtual-scroll-${this.container?.id || 'list'}`;
+        
+        // Reverse mode: older rows are prepended on demand, new rows arrive at the bottom
+        this.reverse = options.reverse || false;
+        this.onReachStart = options.onReachStart || null;
+        this.startThreshold = options.startThreshold ?? this.itemHeight * 2;
+        this.stuckToBottom = this.reverse;
+        this.loadingStart = false;
+        this.reachedStart = false;
+        this.unseenCount = 0;
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize virtual scroller
+     */
+    init() {
+        try {
+            if (this.groupBy && !this.dataSource) {
+                this.applyView();
+            }
+            this.rebuildHeightIndex();
+            this.setupContainer();
+            this.updateVisibleRange();
+            this.render();
+            this.setupEventListeners();
+            
+            if (this.reverse && this.dataSource) {
+                console.warn('⚠️ Reverse mode needs local data and is not available in paged mode');
+                this.reverse = false;
+            }
+            
+            if (this.persistState && this.restoreState()) {
+                this.stuckToBottom = this.reverse && this.isAtBottom();
+            } else if (this.reverse) {
+                this.scrollToBottom();
+            }
+            this.checkReachStart();
+        } catch (error) {
+            console.error('❌ Error initializing virtual scroller:', error);
+        }
+    }
+    
+    /**
+     * Setup container for virtual scrolling
+     */
+    setupContainer() {
+        try {
+            if (!this.container) {
+                console.warn('⚠️ Virtual container not found');
+                return;
+            }
+            
+            // Set container height
+            this.container.style.height = `${this.visibleItems * this.itemHeight}px`;
+            this.container.style.overflow = 'auto';
+            this.container.style.position = 'relative';
+            
+            // The container owns focus and points at the active row via aria-activedescendant
+            this.container.setAttribute('role', 'grid');
+            this.container.setAttribute('aria-label', this.label);
+            this.container.setAttribute('aria-colcount', '1');
+            if (this.selectionMode === 'multiple') {
+                this.container.setAttribute('aria-multiselectable', 'true');
+            }
+            if (!this.container.hasAttribute('tabindex')) {
+                this.container.tabIndex = 0;
+            }
+            
+            // Create content wrapper
+            this.contentWrapper = document.createElement('div');
+            this.contentWrapper.style.position = 'relative';
+            this.contentWrapper.setAttribute('role', 'rowgroup');
+            this.updateContentHeight();
+            
+            // Zero-height sticky layer that pins the current group header over the rows
+            if (this.groupBy) {
+                this.stickyLayer = document.createElement('div');
+                this.stickyLayer.style.position = 'sticky';
+                this.stickyLayer.style.top = '0';
+                this.stickyLayer.style.height = '0';
+                this.stickyLayer.style.zIndex = '2';
+                this.stickyLayer.setAttribute('aria-hidden', 'true');
+                this.container.appendChild(this.stickyLayer);
+            }
+            
+            this.container.appendChild(this.contentWrapper);
+            
+            // Zero-height layer stuck to the viewport bottom, holding the "N new items" button
+            if (this.reverse) {
+                const indicatorLayer = document.createElement('div');
+                indicatorLayer.style.position = 'sticky';
+                indicatorLayer.style.bottom = '0';
+                indicatorLayer.style.height = '0';
+                indicatorLayer.style.zIndex = '2';
+                
+                this.newItemsIndicator = document.createElement('button');
+                this.newItemsIndicator.type = 'button';
+                this.newItemsIndicator.className = 'virtual-new-items';
+                this.newItemsIndicator.setAttribute('aria-live', 'polite');
+                this.newItemsIndicator.hidden = true;
+                
+                indicatorLayer.appendChild(this.newItemsIndicator);
+                this.container.appendChild(indicatorLayer);
+            }
+        } catch (error) {
+            console.error('❌ Error setting up virtual scroll container:', error);
+        }
+    }
+    
+    /**
+     * Get the number of rows in the current view
+     * @returns {number} Row count
+     */
+    getItemCount() {
+        if (this.dataSource) return this.dataSource.getCount();
+        return this.viewIndex ? this.viewIndex.length : this.sourceData.length;
+    }
+    
+    /**
+     * Get the item shown at a view index
+     * @param {number} index - View index
+     * @returns {Object} Item data
+     */
+    getItem(index) {
+        if (this.dataSource) return this.dataSource.getItem(index);
+        
+        const entry = this.viewIndex ? this.viewIndex[index] : index;
+        return entry instanceof VirtualGroupHeader ? entry : this.sourceData[entry];
+    }
+    
+    /**
+     * Map a view index to its index in the source dataset
+     * @param {number} index - View index
+     * @returns {number} Source index, or -1 for a group header row
+     */
+    toSourceIndex(index) {
+        const entry = this.viewIndex ? this.viewIndex[index] : index;
+        return entry instanceof VirtualGroupHeader ? -1 : entry;
+    }
+    
+    /**
+     * Work out which kind of row an entry renders as
+     * @param {Object|undefined} itemData - Item data, group header or undefined
+     * @returns {string} 'item', 'skeleton' or 'header'
+     */
+    getRowKind(itemData) {
+        if (itemData === undefined) return 'skeleton';
+        if (itemData instanceof VirtualGroupHeader) return 'header';
+        return 'item';
+    }
+    
+    /**
+     * Check whether a row holds a real, selectable item
+     * @param {Object|undefined} itemData - Item data
+     * @returns {boolean} Whether the row can be selected
+     */
+    isSelectable(itemData) {
+        return this.getRowKind(itemData) === 'item';
+    }
+    
+    /**
+     * Get the cache key for an item
+     * @param {Object} itemData - Item data
+     * @param {number} index - Item index
+     * @returns {*} Item key
+     */
+    getItemKey(itemData, index) {
+        // Unloaded rows are keyed by position so they are replaced once their page lands
+        if (itemData === undefined) return `skeleton-${index}`;
+        if (itemData instanceof VirtualGroupHeader) return `group-${itemData.key}`;
+        return this.getKey(itemData, index);
+    }
+    
+    /**
+     * Rebuild the height index from cached measurements and the estimate
+     */
+    rebuildHeightIndex() {
+        if (!this.variableHeight) {
+            this.heightIndex.reset(new Array(this.getItemCount()).fill(this.itemHeight));
+            return;
+        }
+        
+        const heights = new Array(this.getItemCount());
+        for (let i = 0; i < heights.length; i++) {
+            const measured = this.measuredHeights.get(this.getItemKey(this.getItem(i), i));
+            heights[i] = measured !== undefined ? measured : this.estimatedItemHeight;
+        }
+        this.heightIndex.reset(heights);
+    }
+    
+    /**
+     * Sync the content wrapper height with the height index
+     */
+    updateContentHeight() {
+        if (this.contentWrapper) {
+            this.contentWrapper.style.height = `${this.heightIndex.getTotalHeight()}px`;
+        }
+    }
+    
+    /**
+     * Recalculate the visible range from the current scroll position
+     * @returns {boolean} Whether the range changed
+     */
+    updateVisibleRange() {
+        const viewportHeight = this.container?.clientHeight || this.visibleItems * this.itemHeight;
+        
+        const newStartIndex = this.heightIndex.findIndex(this.scrollTop);
+        const newEndIndex = Math.min(
+            this.heightIndex.findIndex(this.scrollTop + viewportHeight) + 1 + this.overscan,
+            this.getItemCount()
+        );
+        
+        if (newStartIndex === this.startIndex && newEndIndex === this.endIndex) {
+            return false;
+        }
+        
+        this.startIndex = newStartIndex;
+        this.endIndex = newEndIndex;
+        return true;
+    }
+    
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.container) return;
+        
+        // Listeners are tracked so several scrollers can be mounted and torn down independently
+        const addEventListenerWithCleanup = window.PerformanceUtils?.addEventListenerWithCleanup ||
+            ((element, event, handler, options) => {
+                element.addEventListener(event, handler, options);
+                return () => element.removeEventListener(event, handler, options);
+            });
+        
+        // Throttled scroll handler
+        const throttledScroll = window.PerformanceUtils?.throttle((e) => {
+            this.handleScroll(e.target.scrollTop);
+        }, 16) || ((e) => { this.handleScroll(e.target.scrollTop); }); // ~60fps
+        
+        this.listenerCleanups.push(
+            addEventListenerWithCleanup(this.container, 'scroll', throttledScroll, { passive: true })
+        );
+        
+        // Hover is delegated once to the container instead of bound per row
+        this.listenerCleanups.push(
+            addEventListenerWithCleanup(this.container, 'mouseover', (e) => {
+                this.setHoveredItem(this.findRowElement(e.target));
+            }, { passive: true }),
+            addEventListenerWithCleanup(this.container, 'mouseleave', () => {
+                this.setHoveredItem(null);
+            }, { passive: true })
+        );
+        
+        // Keyboard navigation and pointer selection (keydown is not passive: it prevents scrolling)
+        this.listenerCleanups.push(
+            addEventListenerWithCleanup(this.container, 'keydown', (e) => {
+                this.handleKeyDown(e);
+            }),
+            addEventListenerWithCleanup(this.container, 'click', (e) => {
+                this.handleRowClick(e);
+            }, { passive: true })
+        );
+        
+        // Resize handler
+        const throttledResize = window.PerformanceUtils?.throttle(() => {
+            this.handleResize();
+        }, 100) || (() => { this.handleResize(); });
+        
+        this.listenerCleanups.push(
+            addEventListenerWithCleanup(window, 'resize', throttledResize, { passive: true })
+        );
+        
+        if (this.newItemsIndicator) {
+            this.listenerCleanups.push(
+                addEventListenerWithCleanup(this.newItemsIndicator, 'click', () => {
+                    this.jumpToLatest();
+                }, { passive: true })
+            );
+        }
+        
+        // Save the position once scrolling settles, and again when the page goes away
+        if (this.persistState) {
+            const debouncedSave = window.PerformanceUtils?.debounce(() => {
+                this.saveState();
+            }, 200) || (() => { this.saveState(); });
+            
+            this.listenerCleanups.push(
+                addEventListenerWithCleanup(this.container, 'scroll', debouncedSave, { passive: true }),
+                addEventListenerWithCleanup(window, 'pagehide', () => {
+                    this.saveState();
+                }, { passive: true })
+            );
+        }
+    }
+    
+    /**
+     * Find the row element containing a node
+     * @param {Node} node - Event target
+     * @returns {Element|null} Row element or null
+     */
+    findRowElement(node) {
+        while (node && node.parentNode !== this.contentWrapper) {
+            node = node.parentNode;
+        }
+        return node || null;
+    }
+    
+    /**
+     * Handle scroll events
+     * @param {number} scrollTop - Current scroll position
+     */
+    handleScroll(scrollTop) {
+        this.scrollTop = scrollTop;
+        
+        // Only re-render if visible range changed
+        if (this.updateVisibleRange()) {
+            this.render();
+        }
+        
+        // The pinned header moves with every scroll, not just when the range changes
+        this.updateStickyHeader();
+        
+        if (this.reverse) {
+            this.stuckToBottom = this.isAtBottom();
+            if (this.stuckToBottom && this.unseenCount > 0) {
+                this.unseenCount = 0;
+                this.updateNewItemsIndicator();
+            }
+            this.checkReachStart();
+        }
+    }
+    
+    /**
+     * Handle container resize
+     */
+    handleResize() {
+        if (!this.container) return;
+        
+        // Recalculate visible items based on container height
+        const containerHeight = this.container.clientHeight;
+        this.visibleItems = Math.ceil(containerHeight / this.estimatedItemHeight);
+        
+        // Re-render with new visible count
+        this.updateVisibleRange();
+        this.render();
+    }
+    
+    /**
+     * Render visible items
+     */
+    render() {
+        if (!this.contentWrapper || this.renderDeferred) return;
+        
+        const measurePerformance = window.PerformanceUtils?.measurePerformance || ((name, fn) => fn());
+        const batchDOMUpdates = window.PerformanceUtils?.batchDOMUpdates || ((fn) => fn());
+        
+        if (this.dataSource) {
+            this.dataSource.ensureRange(this.startIndex - this.fetchOverscan, this.endIndex + this.fetchOverscan);
+        }
+        
+        measurePerformance('Virtual Scroll Render', () => {
+            const stats = { created: 0, recycled: 0, reused: 0 };
+            const nextItems = new Map();
+            const incoming = [];
+            
+            // Rows that stay in range keep their node; only their position is checked
+            for (let i = this.startIndex; i < this.endIndex; i++) {
+                const itemData = this.getItem(i);
+                const key = this.getItemKey(itemData, i);
+                const rendered = this.renderedItems.get(key);
+                
+                if (rendered) {
+                    this.renderedItems.delete(key);
+                    this.positionItem(rendered.element, i);
+                    nextItems.set(key, { ...rendered, index: i });
+                    stats.reused++;
+                } else {
+                    incoming.push({ key, itemData, index: i });
+                }
+            }
+            
+            // Whatever is left has scrolled out of range and can be recycled. Pools hold both these
+            // still-attached rows and rows an earlier render detached, so reuse must re-attach
+            this.renderedItems.forEach(({ element, kind }) => {
+                if (element === this.hoveredItem) {
+                    this.setHoveredItem(null);
+                }
+                this.rowPools[kind].push(element);
+            });
+            
+            // Create fragment for batch update
+            const fragment = document.createDocumentFragment();
+            
+            incoming.forEach(({ key, itemData, index }) => {
+                const kind = this.getRowKind(itemData);
+                const recycled = this.rowPools[kind].pop() || null;
+                const element = this.renderRow(itemData, index, recycled);
+                
+                if (recycled && element === recycled) {
+                    stats.recycled++;
+                } else {
+                    // The renderer built its own row, so the offered one is dropped
+                    if (recycled) {
+                        recycled.remove();
+                    }
+                    this.applyRowLayout(element);
+                    stats.created++;
+                }
+                
+                this.positionItem(element, index);
+                
+                // New rows and pooled rows detached by an earlier render both need to go back in
+                if (element.parentNode !== this.contentWrapper) {
+                    fragment.appendChild(element);
+                }
+                
+                nextItems.set(key, { element, index, kind });
+            });
+            
+            // Detach rows the new range had no use for; they stay pooled
+            Object.values(this.rowPools).forEach(pool => {
+                pool.forEach(element => element.remove());
+            });
+            
+            this.renderedItems = nextItems;
+            this.lastRenderStats = stats;
+            this.updateRowStates();
+            
+            // Rows must be in a laid-out tree to be measured, so skip the deferred batch
+            if (this.variableHeight) {
+                this.contentWrapper.appendChild(fragment);
+                this.measureRenderedItems();
+                return;
+            }
+            
+            // Batch DOM update
+            if (fragment.childNodes.length > 0) {
+                batchDOMUpdates(() => {
+                    this.contentWrapper.appendChild(fragment);
+                });
+            }
+        });
+    }
+    
+    /**
+     * Render a row through the item, group header or skeleton renderer
+     * @param {Object|undefined} itemData - Item data
+     * @param {number} index - Item index
+     * @param {Element|null} recycledEl - Row element to reuse, if any
+     * @returns {Element} Row element
+     */
+    renderRow(itemData, index, recycledEl) {
+        if (itemData === undefined) {
+            return this.renderSkeleton(index, recycledEl, this.dataSource ? this.dataSource.getState(index) : 'idle');
+        }
+        if (itemData instanceof VirtualGroupHeader) {
+            return this.renderGroupHeader(itemData, recycledEl);
+        }
+        return this.renderItem(itemData, index, recycledEl);
+    }
+    
+    /**
+     * Schedule a re-render when pages land or fail, coalescing bursts into one frame
+     * @param {Object} change - { pageIndex, countChanged }
+     */
+    handlePageChange(change) {
+        this.trackItemIds(this.dataSource.pages.get(change.pageIndex)?.items || []);
+        this.pageCountChanged = this.pageCountChanged || change.countChanged;
+        if (this.pageRenderPending) return;
+        
+        this.pageRenderPending = true;
+        const requestAnimationFramePolyfill = window.PerformanceUtils?.requestAnimationFramePolyfill || requestAnimationFrame;
+        requestAnimationFramePolyfill(() => {
+            this.pageRenderPending = false;
+            const countChanged = this.pageCountChanged;
+            this.pageCountChanged = false;
+            
+            this.syncWithDataSource(countChanged);
+            
+            // Skeletons that stay in range still need their loading/error state refreshed
+            this.renderedItems.forEach(({ kind }, key) => {
+                if (kind === 'skeleton') this.refreshRenderedItem(key);
+            });
+        });
+    }
+    
+    /**
+     * Re-render after the paged data source changed underneath the scroller
+     * @param {boolean} countChanged - Whether the item count changed
+     */
+    syncWithDataSource(countChanged) {
+        if (countChanged) {
+            this.rebuildHeightIndex();
+            this.updateContentHeight();
+            this.clampScrollPosition();
+        }
+        this.updateVisibleRange();
+        this.render();
+    }
+    
+    /**
+     * Retry pages that gave up after exhausting their retries
+     */
+    retryFailedPages() {
+        if (this.dataSource) {
+            this.dataSource.retryFailedPages();
+        }
+    }
+    
+    /**
+     * Re-render a single row in place if it is currently rendered
+     * @param {number} index - Item index
+     */
+    refreshItem(index) {
+        this.refreshRenderedItem(this.getItemKey(this.getItem(index), index));
+    }
+    
+    /**
+     * Re-render the row for an item key in place if it is currently rendered
+     * @param {*} key - Item key
+     */
+    refreshRenderedItem(key) {
+        const rendered = this.renderedItems.get(key);
+        if (!rendered) return;
+        
+        const { index } = rendered;
+        const element = this.renderRow(this.getItem(index), index, rendered.element);
+        if (element !== rendered.element) {
+            this.applyRowLayout(element);
+            this.positionItem(element, index);
+            rendered.element.replaceWith(element);
+            this.renderedItems.set(key, { ...rendered, element });
+            if (rendered.element === this.hoveredItem) {
+                this.setHoveredItem(null);
+            }
+        }
+        
+        // Renderers may rewrite className, so selection and focus state are reapplied
+        this.applyRowState(element, index, key, rendered.kind);
+        
+        if (this.variableHeight) {
+            this.measureRenderedItems();
+        }
+    }
+    
+    /**
+     * Measure rendered rows and fold their heights into the offset index
+     */
+    measureRenderedItems() {
+        // Read every height first so the whole pass costs a single layout
+        const measurements = [];
+        this.renderedItems.forEach(({ element, index, kind }) => {
+            // Skeleton heights say nothing about the real row, so they keep the estimate
+            if (kind === 'skeleton') return;
+            measurements.push({ index, height: element.offsetHeight });
+        });
+        
+        const anchorIndex = this.heightIndex.findIndex(this.scrollTop);
+        let deltaAboveAnchor = 0;
+        let changed = false;
+        
+        measurements.forEach(({ index, height }) => {
+            if (!height) return;
+            
+            this.measuredHeights.set(this.getItemKey(this.getItem(index), index), height);
+            const delta = this.heightIndex.setHeight(index, height);
+            if (delta !== 0) {
+                changed = true;
+                if (index < anchorIndex) {
+                    deltaAboveAnchor += delta;
+                }
+            }
+        });
+        
+        if (changed) {
+            this.updateContentHeight();
+            this.renderedItems.forEach(({ element, index }) => {
+                this.positionItem(element, index);
+            });
+            
+            // A list stuck to the bottom follows the newest row instead of the top one
+            if (this.reverse && this.stuckToBottom) {
+                this.scrollToBottom();
+            } else if (deltaAboveAnchor !== 0 && this.container) {
+                // Keep the row under the viewport top in place when rows above it resize
+                this.scrollTop += deltaAboveAnchor;
+                this.container.scrollTop = this.scrollTop;
+            }
+        }
+        
+        this.settleScrollTarget();
+        
+        // Shorter rows than estimated can expose unrendered space below
+        if (changed && this.updateVisibleRange()) {
+            this.render();
+        }
+    }
+    
+    /**
+     * Correct a pending scrollToItem once the target row has been measured
+     */
+    settleScrollTarget() {
+        if (this.scrollTarget === null || !this.container) return;
+        
+        const { index, align } = this.scrollTarget;
+        if (index >= this.getItemCount()) {
+            this.scrollTarget = null;
+            return;
+        }
+        if (!this.renderedItems.has(this.getItemKey(this.getItem(index), index))) return;
+        
+        this.scrollTarget = null;
+        const offset = this.getScrollOffsetForIndex(index, align);
+        if (offset !== null && Math.abs(this.container.scrollTop - offset) > 1) {
+            this.scrollTop = offset;
+            this.container.scrollTop = offset;
+        }
+    }
+    
+    /**
+     * Default row renderer for the demo item shape
+     * @param {Object} itemData - Item data
+     * @param {number} index - Item index
+     * @param {Element|null} recycledEl - Row element to reuse, if any
+     * @returns {Element} Item element
+     */
+    renderDefaultItem(itemData, index, recycledEl) {
+        if (recycledEl && this.itemParts.has(recycledEl)) {
+            this.patchItem(recycledEl, itemData, index);
+            return recycledEl;
+        }
+        return this.createItem(itemData, index);
+    }
+    
+    /**
+     * Create individual item
+     * @param {Object} itemData - Item data
+     * @param {number} index - Item index
+     * @returns {Element} Item element
+     */
+    createItem(itemData, index) {
+        const item = document.createElement('div');
+        item.style.padding = '1rem';
+        item.style.borderBottom = '1px solid #e9ecef';
+        item.style.display = 'flex';
+        item.style.alignItems = 'center';
+        item.style.justifyContent = 'space-between';
+        
+        // Create item content
+        const content = document.createElement('div');
+        content.setAttribute('role', 'gridcell');
+        content.style.flex = '1';
+        
+        const title = document.createElement('div');
+        title.style.fontWeight = 'bold';
+        title.style.marginBottom = '0.25rem';
+        
+        const description = document.createElement('div');
+        description.style.fontSize = '0.875rem';
+        description.style.color = '#6c757d';
+        
+        const meta = document.createElement('div');
+        meta.setAttribute('role', 'gridcell');
+        meta.style.textAlign = 'right';
+        meta.style.fontSize = '0.75rem';
+        meta.style.color = '#6c757d';
+        
+        const timestamp = document.createElement('div');
+        
+        const status = document.createElement('div');
+        status.style.textTransform = 'capitalize';
+        
+        content.appendChild(title);
+        content.appendChild(description);
+        meta.appendChild(timestamp);
+        meta.appendChild(status);
+        
+        item.appendChild(content);
+        item.appendChild(meta);
+        
+        // Keep references to the patchable parts so recycling never re-queries
+        this.itemParts.set(item, { title, description, timestamp, status });
+        this.patchItem(item, itemData, index);
+        
+        return item;
+    }
+    
+    /**
+     * Patch an existing row element with new item data
+     * @param {Element} item - Row element
+     * @param {Object} itemData - Item data
+     * @param {number} index - Item index
+     */
+    patchItem(item, itemData, index) {
+        const parts = this.itemParts.get(item);
+        if (!parts) return;
+        
+        item.className = `virtual-item virtual-item-${itemData.status}`;
+        item.classList.toggle('virtual-item-hover', item === this.hoveredItem);
+        
+        parts.title.textContent = itemData.title;
+        parts.description.textContent = itemData.description;
+        parts.timestamp.textContent = new Date(itemData.timestamp).toLocaleDateString();
+        parts.status.textContent = itemData.status;
+        parts.status.style.color = this.getStatusColor(itemData.status);
+    }
+    
+    /**
+     * Default placeholder row for items whose page has not loaded
+     * @param {number} index - Item index
+     * @param {Element|null} recycledEl - Skeleton element to reuse, if any
+     * @param {string} state - 'loading', 'error' or 'idle'
+     * @returns {Element} Skeleton element
+     */
+    renderDefaultSkeleton(index, recycledEl, state) {
+        const skeleton = recycledEl || document.createElement('div');
+        skeleton.className = `virtual-item virtual-item-skeleton${state === 'error' ? ' virtual-item-error' : ''}`;
+        skeleton.innerHTML = '';
+        const cell = document.createElement('div');
+        cell.setAttribute('role', 'gridcell');
+        cell.textContent = state === 'error' ? 'Failed to load' : 'Loading...';
+        skeleton.appendChild(cell);
+        return skeleton;
+    }
+    
+    /**
+     * Default group header row
+     * @param {Object} group - { key, count, collapsed }
+     * @param {Element|null} recycledEl - Header element to reuse, if any
+     * @returns {Element} Header element
+     */
+    renderDefaultGroupHeader(group, recycledEl) {
+        const header = recycledEl || document.createElement('div');
+        header.className = 'virtual-item virtual-group-header';
+        header.innerHTML = '';
+        
+        const cell = document.createElement('div');
+        cell.setAttribute('role', 'gridcell');
+        cell.textContent = `${group.collapsed ? '▸' : '▾'} ${group.key} (${group.count})`;
+        cell.style.textTransform = 'capitalize';
+        header.appendChild(cell);
+        return header;
+    }
+    
+    /**
+     * Apply the positioning styles every row needs, whatever renderer built it
+     * @param {Element} item - Row element
+     */
+    applyRowLayout(item) {
+        item.style.position = 'absolute';
+        item.style.left = '0';
+        item.style.right = '0';
+        item.style.boxSizing = 'border-box';
+        item.style.height = this.variableHeight ? 'auto' : `${this.itemHeight}px`;
+    }
+    
+    /**
+     * Move a row to the offset of its index, skipping no-op writes
+     * @param {Element} item - Row element
+     * @param {number} index - Item index
+     */
+    positionItem(item, index) {
+        const top = `${this.heightIndex.getOffset(index)}px`;
+        if (item.style.top !== top) {
+            item.style.top = top;
+        }
+    }
+    
+    /**
+     * Move the hover highlight to a row
+     * @param {Element|null} item - Row under the pointer
+     */
+    setHoveredItem(item) {
+        if (item === this.hoveredItem) return;
+        
+        if (this.hoveredItem) {
+            this.hoveredItem.classList.remove('virtual-item-hover');
+        }
+        
+        this.hoveredItem = item;
+        
+        if (item) {
+            item.classList.add('virtual-item-hover');
+        }
+    }
+    
+    /**
+     * Get status color
+     * @param {string} status - Item status
+     * @returns {string} Color value
+     */
+    getStatusColor(status) {
+        switch (status) {
+            case 'active':
+                return '#28a745';
+            case 'pending':
+                return '#ffc107';
+            case 'completed':
+                return '#6c757d';
+            default:
+                return '#6c757d';
+        }
+    }
+    
+    /**
+     * Scroll to specific item
+     * @param {number} index - Item index
+     * @param {Object} options - Scroll options
+     * @param {string} options.align - 'start', 'end', or 'auto' to scroll only as far as needed
+     * @param {string} options.behavior - 'smooth' or 'auto'
+     */
+    scrollToItem(index, { align = 'start', behavior = 'smooth' } = {}) {
+        if (!this.container || index < 0 || index >= this.getItemCount()) return;
+        
+        const scrollTop = this.getScrollOffsetForIndex(index, align);
+        if (scrollTop === null) return;
+        
+        // Rows between here and the target may be estimates; correct once it is measured
+        if (this.variableHeight) {
+            this.scrollTarget = { index, align };
+        }
+        
+        this.container.scrollTo({
+            top: scrollTop,
+            behavior
+        });
+    }
+    
+    /**
+     * Work out the scroll position that brings a row into view
+     * @param {number} index - Item index
+     * @param {string} align - 'start', 'end' or 'auto'
+     * @returns {number|null} Scroll position, or null when 'auto' needs no scroll
+     */
+    getScrollOffsetForIndex(index, align) {
+        const viewportHeight = this.container?.clientHeight || this.visibleItems * this.itemHeight;
+        const rowTop = this.heightIndex.getOffset(index);
+        const rowBottom = rowTop + this.heightIndex.getHeight(index);
+        const endOffset = Math.max(0, rowBottom - viewportHeight);
+        
+        // Item rows would otherwise end up underneath their group's pinned header
+        const headerIndex = this.findGroupHeaderIndex(index);
+        const pinnedHeight = headerIndex >= 0 && headerIndex !== index ?
+            this.heightIndex.getHeight(headerIndex) : 0;
+        const startOffset = Math.max(0, rowTop - pinnedHeight);
+        
+        if (align === 'end') return endOffset;
+        if (align !== 'auto') return startOffset;
+        
+        if (rowTop < this.scrollTop + pinnedHeight) return startOffset;
+        if (rowBottom > this.scrollTop + viewportHeight) return endOffset;
+        return null;
+    }
+    
+    /**
+     * Handle keyboard navigation on the grid
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeyDown(e) {
+        const count = this.getItemCount();
+        if (count === 0) return;
+        
+        const current = this.activeIndex < 0 ? 0 : this.activeIndex;
+        const pageSize = Math.max(1, this.endIndex - this.startIndex - this.overscan - 1);
+        let target = null;
+        
+        // Caps Lock or Shift turn Ctrl/Cmd+A into 'A'; named keys like 'ArrowDown' keep their case
+        switch (e.key.length === 1 ? e.key.toLowerCase() : e.key) {
+            case 'ArrowDown':
+                target = this.activeIndex < 0 ? 0 : current + 1;
+                break;
+            case 'ArrowUp':
+                target = current - 1;
+                break;
+            case 'PageDown':
+                target = current + pageSize;
+                break;
+            case 'PageUp':
+                target = current - pageSize;
+                break;
+            case 'Home':
+                target = 0;
+                break;
+            case 'End':
+                target = count - 1;
+                break;
+            case 'Enter':
+            case ' ':
+                if (this.getItem(this.activeIndex) instanceof VirtualGroupHeader) {
+                    e.preventDefault();
+                    this.toggleGroup(this.getItem(this.activeIndex).key);
+                    return;
+                }
+                if (e.key === ' ' && this.activeIndex >= 0) {
+                    e.preventDefault();
+                    this.selectIndex(this.activeIndex, {
+                        toggle: e.ctrlKey || e.metaKey,
+                        range: e.shiftKey
+                    });
+                }
+                return;
+            case 'a':
+                if ((e.ctrlKey || e.metaKey) && this.selectionMode === 'multiple') {
+                    e.preventDefault();
+                    this.selectAll();
+                }
+                return;
+            case 'Escape':
+                this.clearSelection();
+                return;
+            default:
+                return;
+        }
+        
+        e.preventDefault();
+        target = Math.max(0, Math.min(count - 1, target));
+        
+        // Ctrl/Cmd moves focus without touching the selection
+        if (e.ctrlKey || e.metaKey) {
+            this.setActiveIndex(target);
+        } else {
+            this.selectIndex(target, { range: e.shiftKey });
+        }
+    }
+    
+    /**
+     * Select the clicked row
+     * @param {MouseEvent} e - Click event
+     */
+    handleRowClick(e) {
+        if (this.stickyLayer && this.stickyLayer.contains(e.target) && this.stickyGroupKey !== null) {
+            this.toggleGroup(this.stickyGroupKey);
+            return;
+        }
+        
+        const row = this.findRowElement(e.target);
+        if (!row) return;
+        
+        for (const [, rendered] of this.renderedItems) {
+            if (rendered.element === row) {
+                if (rendered.kind === 'header') {
+                    this.setActiveIndex(rendered.index);
+                    this.toggleGroup(this.getItem(rendered.index).key);
+                    return;
+                }
+                this.selectIndex(rendered.index, {
+                    toggle: e.ctrlKey || e.metaKey,
+                    range: e.shiftKey
+                });
+                return;
+            }
+        }
+    }
+    
+    /**
+     * Move the active row and scroll it into view
+     * @param {number} index - Item index
+     */
+    setActiveIndex(index) {
+        this.activeIndex = index;
+        this.scrollToItem(index, { align: 'auto', behavior: 'auto' });
+        this.updateRowStates();
+    }
+    
+    /**
+     * Make a row active and update the selection around it
+     * @param {number} index - Item index
+     * @param {Object} options - Selection options
+     * @param {boolean} options.range - Extend the selection from the anchor (Shift)
+     * @param {boolean} options.toggle - Toggle the row without clearing others (Ctrl/Cmd)
+     */
+    selectIndex(index, { range = false, toggle = false } = {}) {
+        this.setActiveIndex(index);
+        if (this.selectionMode === 'none') return;
+        
+        const key = this.getItemKey(this.getItem(index), index);
+        
+        if (this.selectionMode === 'single') {
+            this.selectedKeys = new Set(this.isSelectable(this.getItem(index)) ? [key] : []);
+        } else if (range && this.selectionAnchor >= 0) {
+            if (!toggle) {
+                this.selectedKeys.clear();
+            }
+            const from = Math.min(this.selectionAnchor, index);
+            const to = Math.max(this.selectionAnchor, index);
+            for (let i = from; i <= to; i++) {
+                const item = this.getItem(i);
+                // Rows on unloaded pages have no stable key yet and are left out, as are headers
+                if (this.isSelectable(item)) {
+                    this.selectedKeys.add(this.getItemKey(item, i));
+                }
+            }
+        } else if (toggle) {
+            if (this.selectedKeys.has(key)) {
+                this.selectedKeys.delete(key);
+            } else if (this.isSelectable(this.getItem(index))) {
+                this.selectedKeys.add(key);
+            }
+            this.selectionAnchor = index;
+        } else {
+            this.selectedKeys = new Set(this.isSelectable(this.getItem(index)) ? [key] : []);
+            this.selectionAnchor = index;
+        }
+        
+        this.notifySelectionChange();
+    }
+    
+    /**
+     * Select every loaded row in the current view
+     */
+    selectAll() {
+        for (let i = 0; i < this.getItemCount(); i++) {
+            const item = this.getItem(i);
+            if (this.isSelectable(item)) {
+                this.selectedKeys.add(this.getItemKey(item, i));
+            }
+        }
+        this.notifySelectionChange();
+    }
+    
+    /**
+     * Clear the selection
+     */
+    clearSelection() {
+        if (this.selectedKeys.size === 0) return;
+        
+        this.selectedKeys.clear();
+        this.selectionAnchor = -1;
+        this.notifySelectionChange();
+    }
+    
+    /**
+     * Replace the selection with a set of item keys
+     * @param {Array} keys - Item keys to select
+     */
+    setSelection(keys) {
+        this.selectedKeys = new Set(this.selectionMode === 'single' ? keys.slice(0, 1) : keys);
+        this.notifySelectionChange();
+    }
+    
+    /**
+     * Get the keys of the selected items
+     * @returns {Array} Selected item keys
+     */
+    getSelectedKeys() {
+        return Array.from(this.selectedKeys);
+    }
+    
+    /**
+     * Refresh rendered rows and dispatch a selectionchange event on the container
+     */
+    notifySelectionChange() {
+        this.updateRowStates();
+        
+        if (this.container) {
+            this.container.dispatchEvent(new CustomEvent('selectionchange', {
+                detail: {
+                    selectedKeys: this.getSelectedKeys(),
+                    activeIndex: this.activeIndex
+                }
+            }));
+        }
+    }
+    
+    /**
+     * Sync ARIA attributes, selection and focus state on every rendered row
+     */
+    updateRowStates() {
+        if (!this.container) return;
+        
+        setAttributeIfChanged(this.container, 'aria-rowcount', String(this.getItemCount()));
+        
+        let activeRowId = null;
+        this.renderedItems.forEach(({ element, index, kind }, key) => {
+            this.applyRowState(element, index, key, kind);
+            if (index === this.activeIndex) {
+                activeRowId = element.id;
+            }
+        });
+        
+        // Only a rendered row can be the active descendant
+        if (activeRowId) {
+            setAttributeIfChanged(this.container, 'aria-activedescendant', activeRowId);
+        } else {
+            this.container.removeAttribute('aria-activedescendant');
+        }
+    }
+    
+    /**
+     * Apply ARIA attributes and selection state to one row
+     * @param {Element} element - Row element
+     * @param {number} index - Item index
+     * @param {*} key - Item key
+     * @param {string} kind - 'item', 'skeleton' or 'header'
+     */
+    applyRowState(element, index, key, kind) {
+        const selected = kind === 'item' && this.selectedKeys.has(key);
+        const active = index === this.activeIndex;
+        
+        setAttributeIfChanged(element, 'id', `${this.rowIdPrefix}-${index}`);
+        setAttributeIfChanged(element, 'role', 'row');
+        setAttributeIfChanged(element, 'aria-rowindex', String(index + 1));
+        
+        if (kind === 'header') {
+            element.removeAttribute('aria-selected');
+            setAttributeIfChanged(element, 'aria-expanded', String(!this.getItem(index).collapsed));
+        } else if (this.selectionMode !== 'none') {
+            setAttributeIfChanged(element, 'aria-selected', String(selected));
+            element.removeAttribute('aria-expanded');
+        }
+        if (kind === 'skeleton') {
+            setAttributeIfChanged(element, 'aria-busy', 'true');
+        } else {
+            element.removeAttribute('aria-busy');
+        }
+        
+        element.classList.toggle('virtual-item-selected', selected);
+        element.classList.toggle('virtual-item-focused', active);
+    }
+    
+    /**
+     * Filter the view with a predicate
+     * @param {Function|null} predicate - (item, sourceIndex) => boolean, or null to clear
+     */
+    setFilter(predicate) {
+        this.filterPredicate = predicate || null;
+        this.applyView();
+    }
+    
+    /**
+     * Sort the view by one or more keys
+     * @param {Array<Object>|null} sortKeys - [{ key, direction }] where key is a field name or
+     *     an (item) => value accessor and direction is 'asc' or 'desc'; null to clear
+     */
+    setSort(sortKeys) {
+        this.sortComparator = sortKeys && sortKeys.length > 0 ?
+            this.createSortComparator(sortKeys) : null;
+        this.applyView();
+    }
+    
+    /**
+     * Build a comparator that compares by each key in turn
+     * @param {Array<Object>} sortKeys - Sort keys in priority order
+     * @returns {Function} Comparator over items
+     */
+    createSortComparator(sortKeys) {
+        const accessors = sortKeys.map(({ key, direction = 'asc' }) => ({
+            getValue: typeof key === 'function' ? key : (item) => item[key],
+            sign: direction === 'desc' ? -1 : 1
+        }));
+        
+        return (a, b) => {
+            for (const { getValue, sign } of accessors) {
+                const valueA = getValue(a);
+                const valueB = getValue(b);
+                
+                if (valueA === valueB) continue;
+                if (valueA === undefined || valueA === null) return 1;
+                if (valueB === undefined || valueB === null) return -1;
+                
+                const result = typeof valueA === 'string' && typeof valueB === 'string' ?
+                    valueA.localeCompare(valueB) : (valueA < valueB ? -1 : 1);
+                
+                if (result !== 0) return result * sign;
+            }
+            return 0;
+        };
+    }
+    
+    /**
+     * Search items by text across the configured search fields
+     * @param {string} query - Search query
+     */
+    searchItems(query) {
+        this.query = (query || '').trim().toLowerCase();
+        this.applyView();
+    }
+    
+    /**
+     * Clear filter, sort and search and show the full dataset
+     */
+    resetView() {
+        this.filterPredicate = null;
+        this.sortComparator = null;
+        this.query = '';
+        this.applyView();
+    }
+    
+    /**
+     * Check an item against the text query
+     * @param {Object} item - Item data
+     * @returns {boolean} Whether the item matches
+     */
+    matchesQuery(item) {
+        return this.searchFields.some(field => {
+            const value = item[field];
+            return value !== undefined && value !== null &&
+                String(value).toLowerCase().includes(this.query);
+        });
+    }
+    
+    /**
+     * Derive the view index from the source data and re-render
+     */
+    applyView() {
+        if (this.dataSource) {
+            console.warn('⚠️ Filtering and sorting need the full dataset and are not available in paged mode');
+            return;
+        }
+        
+        if (!this.filterPredicate && !this.sortComparator && !this.query && !this.groupBy) {
+            this.viewIndex = null;
+            this.groups = new Map();
+            this.groupHeaderIndices = [];
+        } else {
+            const viewIndex = [];
+            this.sourceData.forEach((item, sourceIndex) => {
+                if (this.filterPredicate && !this.filterPredicate(item, sourceIndex)) return;
+                if (this.query && !this.matchesQuery(item)) return;
+                viewIndex.push(sourceIndex);
+            });
+            
+            if (this.sortComparator) {
+                // Fall back to source order so equal rows never shuffle between renders
+                viewIndex.sort((a, b) => this.sortComparator(this.sourceData[a], this.sourceData[b]) || a - b);
+            }
+            
+            if (this.groupBy) {
+                this.groupRows(viewIndex);
+                this.viewIndex = this.buildGroupedRows();
+            } else {
+                this.viewIndex = viewIndex;
+            }
+        }
+        
+        this.refreshView();
+    }
+    
+    /**
+     * Re-layout and re-render after the view index changed
+     */
+    refreshView() {
+        this.rebuildHeightIndex();
+        this.updateContentHeight();
+        this.clampScrollPosition();
+        this.updateVisibleRange();
+        this.render();
+        this.updateStickyHeader();
+    }
+    
+    /**
+     * Bucket filtered and sorted source indices by group key, keeping first-seen group order
+     * @param {Array<number>} sourceIndices - Source indices in view order
+     */
+    groupRows(sourceIndices) {
+        this.groups = new Map();
+        sourceIndices.forEach(sourceIndex => {
+            const key = this.groupBy(this.sourceData[sourceIndex]);
+            if (!this.groups.has(key)) {
+                this.groups.set(key, []);
+            }
+            this.groups.get(key).push(sourceIndex);
+        });
+    }
+    
+    /**
+     * Flatten the groups into header rows followed by the rows of expanded groups
+     * @returns {Array} View index entries
+     */
+    buildGroupedRows() {
+        const rows = [];
+        this.groupHeaderIndices = [];
+        
+        this.groups.forEach((sourceIndices, key) => {
+            const collapsed = this.collapsedGroups.has(key);
+            this.groupHeaderIndices.push(rows.length);
+            rows.push(new VirtualGroupHeader(key, sourceIndices.length, collapsed));
+            
+            if (!collapsed) {
+                for (let i = 0; i < sourceIndices.length; i++) {
+                    rows.push(sourceIndices[i]);
+                }
+            }
+        });
+        
+        return rows;
+    }
+    
+    /**
+     * Collapse or expand a group without re-filtering or re-sorting
+     * @param {*} key - Group key
+     * @param {boolean} collapsed - Force a state instead of toggling
+     */
+    toggleGroup(key, collapsed = !this.collapsedGroups.has(key)) {
+        if (!this.groups.has(key)) return;
+        
+        if (collapsed) {
+            this.collapsedGroups.add(key);
+        } else {
+            this.collapsedGroups.delete(key);
+        }
+        
+        // Keep focus on the header of the toggled group
+        this.viewIndex = this.buildGroupedRows();
+        const headerIndex = this.groupHeaderIndices[Array.from(this.groups.keys()).indexOf(key)];
+        if (this.activeIndex >= 0) {
+            this.activeIndex = headerIndex;
+        }
+        
+        // The header keeps its key, so render() would only move it; both copies show the state
+        this.stickyGroupKey = null;
+        this.refreshView();
+        this.refreshRenderedItem(`group-${key}`);
+        this.updateRowStates();
+    }
+    
+    /**
+     * Find the header row of the group a row belongs to
+     * @param {number} index - View index
+     * @returns {number} Header row index, or -1 when not grouped
+     */
+    findGroupHeaderIndex(index) {
+        const headers = this.groupHeaderIndices;
+        if (!this.groupBy || headers.length === 0 || index < 0) return -1;
+        
+        // Binary search for the last header at or before the row
+        let low = 0;
+        let high = headers.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (headers[mid] <= index) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found >= 0 ? headers[found] : -1;
+    }
+    
+    /**
+     * Pin the header of the group at the top of the viewport, pushed up by the next header
+     */
+    updateStickyHeader() {
+        if (!this.stickyLayer) return;
+        
+        const topIndex = this.heightIndex.findIndex(this.scrollTop);
+        const headerIndex = this.findGroupHeaderIndex(topIndex);
+        
+        // No pinned copy while the real header row is itself at the top
+        if (headerIndex < 0 || this.heightIndex.getOffset(headerIndex) >= this.scrollTop) {
+            this.stickyLayer.style.display = 'none';
+            this.stickyGroupKey = null;
+            return;
+        }
+        
+        const group = this.getItem(headerIndex);
+        const headerHeight = this.heightIndex.getHeight(headerIndex);
+        this.stickyLayer.style.display = 'block';
+        
+        if (this.stickyGroupKey !== group.key || !this.stickyHeader) {
+            const previous = this.stickyHeader || null;
+            this.stickyHeader = this.renderGroupHeader(group, previous);
+            if (this.stickyHeader !== previous) {
+                if (previous) previous.remove();
+                this.applyRowLayout(this.stickyHeader);
+                this.stickyLayer.appendChild(this.stickyHeader);
+            }
+            this.stickyHeader.style.top = '0';
+            this.stickyHeader.style.height = `${headerHeight}px`;
+            this.stickyGroupKey = group.key;
+        }
+        
+        // Slide up as the next group's header reaches the pinned one
+        const nextHeaderPosition = this.groupHeaderIndices.indexOf(headerIndex) + 1;
+        const nextHeaderIndex = this.groupHeaderIndices[nextHeaderPosition];
+        const pushUp = nextHeaderIndex !== undefined ?
+            Math.min(0, this.heightIndex.getOffset(nextHeaderIndex) - this.scrollTop - headerHeight) : 0;
+        this.stickyHeader.style.transform = pushUp < 0 ? `translateY(${pushUp}px)` : '';
+    }
+    
+    /**
+     * Scroll to an item by key, expanding its group if it is collapsed
+     * @param {*} key - Item key
+     * @param {Object} options - Options passed to scrollToItem
+     */
+    scrollToKey(key, options) {
+        const sourceIndex = this.sourceData.findIndex((item, i) => this.getKey(item, i) === key);
+        if (sourceIndex < 0) return;
+        
+        if (this.groupBy) {
+            const groupKey = this.groupBy(this.sourceData[sourceIndex]);
+            if (this.collapsedGroups.has(groupKey)) {
+                this.toggleGroup(groupKey, false);
+            }
+        }
+        
+        const index = this.viewIndex ? this.viewIndex.indexOf(sourceIndex) : sourceIndex;
+        if (index >= 0) {
+            this.scrollToItem(index, options);
+        }
+    }
+    
+    /**
+     * Get the largest scroll position the content allows
+     * @returns {number} Maximum scrollTop
+     */
+    getMaxScrollTop() {
+        const viewportHeight = this.container?.clientHeight || this.visibleItems * this.itemHeight;
+        return Math.max(0, this.heightIndex.getTotalHeight() - viewportHeight);
+    }
+    
+    /**
+     * Keep the scroll position inside the content after the view shrinks
+     */
+    clampScrollPosition() {
+        const maxScrollTop = this.getMaxScrollTop();
+        
+        if (this.scrollTop > maxScrollTop) {
+            this.scrollTop = maxScrollTop;
+            if (this.container) {
+                this.container.scrollTop = maxScrollTop;
+            }
+        }
+    }
+    
+    /**
+     * Check whether the viewport shows the end of the list
+     * @returns {boolean} Whether the list is scrolled to the bottom
+     */
+    isAtBottom() {
+        // Sub-pixel scroll positions never quite reach the maximum
+        return this.scrollTop >= this.getMaxScrollTop() - 2;
+    }
+    
+    /**
+     * Jump to the end of the list without animating
+     */
+    scrollToBottom() {
+        this.scrollTop = this.getMaxScrollTop();
+        if (this.container) {
+            this.container.scrollTop = this.scrollTop;
+        }
+        
+        if (this.updateVisibleRange()) {
+            this.render();
+        }
+        this.updateStickyHeader();
+    }
+    
+    /**
+     * Scroll to the newest row and stick to the bottom again
+     * @param {Object} options - Scroll options
+     * @param {string} options.behavior - 'smooth' or 'auto'
+     */
+    jumpToLatest({ behavior = 'smooth' } = {}) {
+        this.stuckToBottom = true;
+        this.unseenCount = 0;
+        this.updateNewItemsIndicator();
+        this.scrollToItem(this.getItemCount() - 1, { align: 'end', behavior });
+    }
+    
+    /**
+     * Append rows at the bottom, following them if the list is stuck to the bottom
+     * @param {Array} items - New items, oldest first
+     */
+    appendItems(items) {
+        if (this.dataSource || items.length === 0) return;
+        
+        const wasAtBottom = this.stuckToBottom || this.isAtBottom();
+        this.sourceData = this.sourceData.concat(items);
+        this.trackItemIds(items);
+        
+        if (this.viewIndex) {
+            this.applyView();
+        } else {
+            this.refreshView();
+        }
+        
+        if (!this.reverse) return;
+        if (wasAtBottom) {
+            this.scrollToBottom();
+        } else {
+            this.unseenCount += items.length;
+            this.updateNewItemsIndicator();
+        }
+    }
+    
+    /**
+     * Prepend rows at the top without moving the rows on screen
+     * @param {Array} items - Older items, oldest first
+     */
+    prependItems(items) {
+        if (this.dataSource || items.length === 0) return;
+        
+        // Without a view the anchor row moves down by exactly the number of new rows
+        this.trackItemIds(items);
+        this.preserveScrollAnchor(() => {
+            this.sourceData = items.concat(this.sourceData);
+            
+            if (this.viewIndex) {
+                this.applyView();
+            } else {
+                this.refreshView();
+            }
+        }, this.viewIndex ? 0 : items.length);
+    }
+    
+    /**
+     * Ask onReachStart for older rows once the viewport nears the top
+     */
+    checkReachStart() {
+        if (!this.reverse || !this.onReachStart || this.loadingStart || this.reachedStart) return;
+        if (this.scrollTop > this.startThreshold) return;
+        
+        this.loadingStart = true;
+        Promise.resolve()
+            .then(() => this.onReachStart())
+            .then((items) => {
+                this.loadingStart = false;
+                if (!Array.isArray(items) || items.length === 0) {
+                    this.reachedStart = true;
+                    return;
+                }
+                this.prependItems(items);
+                
+                // A short batch can leave the viewport near the top, so keep loading
+                if (this.contentWrapper?.isConnected) {
+                    this.checkReachStart();
+                }
+            })
+            .catch((error) => {
+                // The next scroll towards the top tries again
+                this.loadingStart = false;
+                console.error('❌ Error loading earlier items:', error);
+            });
+    }
+    
+    /**
+     * Show or hide the "N new items" button
+     */
+    updateNewItemsIndicator() {
+        if (!this.newItemsIndicator) return;
+        
+        this.newItemsIndicator.hidden = this.unseenCount === 0;
+        this.newItemsIndicator.textContent = `${this.unseenCount} new item${this.unseenCount === 1 ? '' : 's'} ↓`;
+    }
+    
+    /**
+     * Capture the scroll position as the row at the viewport top and the offset into it
+     * @returns {Object|null} { key, index, offset }, or null when the list is empty
+     */
+    getScrollAnchor() {
+        if (this.getItemCount() === 0) return null;
+        
+        const index = this.heightIndex.findIndex(this.scrollTop);
+        return {
+            key: this.getItemKey(this.getItem(index), index),
+            index,
+            offset: this.scrollTop - this.heightIndex.getOffset(index)
+        };
+    }
+    
+    /**
+     * Find the view index of a row by key
+     * @param {*} key - Row key
+     * @param {number} hint - Index the row was last seen at, checked first
+     * @returns {number} View index, or -1 when the row is not in the view
+     */
+    findIndexByKey(key, hint = 0) {
+        const count = this.getItemCount();
+        
+        // A single insert or removal moves the row by at most one place
+        for (const index of [hint, hint + 1, hint - 1]) {
+            if (index >= 0 && index < count && this.getItemKey(this.getItem(index), index) === key) {
+                return index;
+            }
+        }
+        
+        // Unloaded pages have no keys to search, so paged mode stops at the hint
+        if (this.dataSource) return -1;
+        
+        for (let i = 0; i < count; i++) {
+            if (this.getItemKey(this.getItem(i), i) === key) return i;
+        }
+        return -1;
+    }
+    
+    /**
+     * Run a data change while keeping the row at the viewport top in place
+     * @param {Function} mutate - Change that may add, remove or resize rows above the viewport
+     * @param {number} indexShift - Known change in the anchor row's index, used as the lookup hint
+     */
+    preserveScrollAnchor(mutate, indexShift = 0) {
+        const anchor = this.getScrollAnchor();
+        if (anchor) {
+            anchor.index += indexShift;
+        }
+        
+        // Renders inside the change would use the old scroll position; one follows the restore
+        const renderDeferred = this.renderDeferred;
+        this.renderDeferred = true;
+        try {
+            mutate();
+        } finally {
+            this.renderDeferred = renderDeferred;
+        }
+        this.restoreScrollAnchor(anchor);
+    }
+    
+    /**
+     * Scroll so an anchor row sits at the viewport top again, then re-render
+     * @param {Object} anchor - { key, index, offset } from getScrollAnchor
+     */
+    restoreScrollAnchor(anchor) {
+        const count = this.getItemCount();
+        if (anchor && count > 0) {
+            this.scrollToAnchor(anchor, count);
+        }
+        
+        // Callers change the data, so rows inside an unchanged range still need patching
+        this.updateVisibleRange();
+        this.render();
+        this.updateStickyHeader();
+    }
+    
+    /**
+     * Move the scroll position to an anchor row
+     * @param {Object} anchor - { key, index, offset } from getScrollAnchor
+     * @param {number} count - Current item count
+     */
+    scrollToAnchor(anchor, count) {
+        let index = this.findIndexByKey(anchor.key, anchor.index);
+        let offset = anchor.offset || 0;
+        
+        // The anchor row itself is gone: keep whichever row took its place
+        if (index < 0) {
+            index = Math.min(Math.max(0, anchor.index || 0), count - 1);
+            offset = 0;
+        }
+        
+        const scrollTop = this.heightIndex.getOffset(index) +
+            Math.min(offset, this.heightIndex.getHeight(index));
+        if (scrollTop !== this.scrollTop) {
+            this.scrollTop = scrollTop;
+            if (this.container) {
+                this.container.scrollTop = scrollTop;
+            }
+            this.clampScrollPosition();
+        }
+    }
+    
+    /**
+     * Serialize the scroll position so navigating back can return to the same row
+     * @param {Object} options - Save options
+     * @param {string} options.persist - 'sessionStorage' or 'hash' to store the state as well
+     * @returns {Object|null} { key, index, offset }, safe to JSON.stringify
+     */
+    saveState({ persist = this.persistState } = {}) {
+        const state = this.getScrollAnchor();
+        if (state && persist) {
+            this.writePersistedState(state, persist);
+        }
+        return state;
+    }
+    
+    /**
+     * Restore a scroll position from saveState
+     * @param {Object|string} state - Saved state or its JSON; read from persistState when omitted
+     * @returns {boolean} Whether a state was applied
+     */
+    restoreState(state = this.readPersistedState(this.persistState)) {
+        try {
+            const anchor = typeof state === 'string' ? JSON.parse(state) : state;
+            if (!anchor || anchor.index === undefined) return false;
+            
+            this.restoreScrollAnchor(anchor);
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Could not restore virtual scroll state:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Write a saved state to sessionStorage or the URL hash
+     * @param {Object} state - State from saveState
+     * @param {string} target - 'sessionStorage' or 'hash'
+     */
+    writePersistedState(state, target) {
+        try {
+            const serialized = JSON.stringify(state);
+            
+            if (target === 'hash') {
+                // replaceState keeps scroll saves out of the history stack
+                const params = new URLSearchParams(window.location.hash.slice(1));
+                params.set(this.stateKey, serialized);
+                history.replaceState(history.state, '', `#${params.toString()}`);
+            } else {
+                sessionStorage.setItem(this.stateKey, serialized);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not persist virtual scroll state:', error);
+        }
+    }
+    
+    /**
+     * Read a saved state from sessionStorage or the URL hash
+     * @param {string} target - 'sessionStorage' or 'hash'
+     * @returns {string|null} Serialized state, or null when none was saved
+     */
+    readPersistedState(target) {
+        try {
+            if (target === 'hash') {
+                return new URLSearchParams(window.location.hash.slice(1)).get(this.stateKey);
+            }
+            if (target === 'sessionStorage') {
+                return sessionStorage.getItem(this.stateKey);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not read virtual scroll state:', error);
+        }
+        return null;
+    }
+    
+    /**
+     * Get scroll statistics
+     * @returns {Object} Scroll statistics
+     */
+    getScrollStats() {
+        const totalHeight = this.heightIndex.getTotalHeight();
+        
+        const headerRows = this.groupBy ? this.groupHeaderIndices.length : 0;
+        let filteredItems = this.getItemCount();
+        if (this.groupBy) {
+            filteredItems = 0;
+            this.groups.forEach(sourceIndices => { filteredItems += sourceIndices.length; });
+        }
+        
+        return {
+            totalItems: this.dataSource ? this.dataSource.getCount() : this.sourceData.length,
+            filteredItems,
+            displayedRows: this.getItemCount(),
+            headerRows,
+            collapsedGroups: this.groupBy ? this.collapsedGroups.size : 0,
+            newItems: this.unseenCount,
+            atBottom: this.isAtBottom(),
+            visibleItems: this.endIndex - this.startIndex,
+            scrollTop: this.scrollTop,
+            startIndex: this.startIndex,
+            endIndex: this.endIndex,
+            totalHeight,
+            measuredItems: this.measuredHeights.size,
+            loadedPages: this.dataSource ? this.dataSource.pages.size : null,
+            scrollPercentage: totalHeight > 0 ? (this.scrollTop / totalHeight) * 100 : 0
+        };
+    }
+    
+    /**
+     * Update item data
+     * @param {number} index - View index of the item
+     * @param {Object} newData - New item data
+     */
+    updateItem(index, newData) {
+        if (this.dataSource) {
+            // Only rows on loaded pages can be edited locally
+            const updated = index >= 0 && index < this.getItemCount() ?
+                this.dataSource.updateItem(index, newData) : null;
+            if (!updated) return;
+            
+            const key = this.getItemKey(updated, index);
+            if (this.variableHeight) {
+                this.measuredHeights.delete(key);
+            }
+            this.refreshRenderedItem(key);
+            return;
+        }
+        
+        if (index >= 0 && index < this.getItemCount() && this.toSourceIndex(index) >= 0) {
+            const sourceIndex = this.toSourceIndex(index);
+            const updated = { ...this.sourceData[sourceIndex], ...newData };
+            const key = this.getItemKey(updated, index);
+            
+            this.sourceData = this.sourceData.slice();
+            this.sourceData[sourceIndex] = updated;
+            
+            // New content may wrap differently, so drop the cached measurement
+            if (this.variableHeight) {
+                this.measuredHeights.delete(key);
+            }
+            
+            // The edit can move the row in or out of a filtered or sorted view
+            if (this.viewIndex) {
+                this.preserveScrollAnchor(() => this.applyView());
+            }
+            
+            // Patch the row in place if it is currently visible
+            this.refreshRenderedItem(key);
+        }
+    }
+    
+    /**
+     * Raise the running max id past the numeric ids of items entering the dataset
+     * @param {Array} items - New items
+     */
+    trackItemIds(items) {
+        items.forEach(item => {
+            if (Number.isFinite(item?.id) && item.id > this.maxItemId) {
+                this.maxItemId = item.id;
+            }
+        });
+    }
+    
+    /**
+     * Pick an id above every id seen or handed out so far, so removals cannot cause reuse
+     * @returns {number} New item id
+     */
+    nextItemId() {
+        // The count covers items with non-numeric ids and pages that have not loaded yet
+        const count = this.dataSource ? this.getItemCount() : this.sourceData.length;
+        this.maxItemId = Math.max(this.maxItemId, count) + 1;
+        return this.maxItemId;
+    }
+    
+    /**
+     * Add new item
+     * @param {Object} itemData - New item data
+     * @param {number} position - Source data position to insert at (defaults to the end;
+     *     paged mode always appends)
+     */
+    addItem(itemData, position = this.sourceData.length) {
+        if (this.dataSource) {
+            const newItem = { id: this.nextItemId(), ...itemData };
+            this.trackItemIds([newItem]);
+            this.dataSource.addItem(newItem);
+            this.syncWithDataSource(true);
+            return;
+        }
+        
+        const newItem = {
+            id: this.nextItemId(),
+            ...itemData
+        };
+        this.trackItemIds([newItem]);
+        
+        const index = Math.min(Math.max(0, position), this.sourceData.length);
+        if (this.reverse && index === this.sourceData.length) {
+            this.appendItems([newItem]);
+            return;
+        }
+        
+        // Rows inserted above the viewport must not push the visible rows down
+        this.preserveScrollAnchor(() => {
+            this.sourceData = [...this.sourceData.slice(0, index), newItem, ...this.sourceData.slice(index)];
+            
+            if (this.viewIndex) {
+                this.applyView();
+                return;
+            }
+            
+            // Update offsets and content wrapper height
+            this.rebuildHeightIndex();
+            this.updateContentHeight();
+        });
+    }
+    
+    /**
+     * Remove item
+     * @param {number} index - View index of the item to remove
+     */
+    removeItem(index) {
+        if (this.dataSource) {
+            if (index >= 0 && index < this.getItemCount()) {
+                this.preserveScrollAnchor(() => {
+                    this.dataSource.removeItem(index);
+                    this.syncWithDataSource(true);
+                });
+            }
+            return;
+        }
+        
+        if (index >= 0 && index < this.getItemCount() && this.toSourceIndex(index) >= 0) {
+            const sourceIndex = this.toSourceIndex(index);
+            
+            // Source indices after the removed item shift, so the view is re-derived
+            this.preserveScrollAnchor(() => {
+                this.sourceData = this.sourceData.filter((_, i) => i !== sourceIndex);
+                this.applyView();
+            });
+        }
+    }
+    
+    /**
+     * Cleanup virtual scroller
+     */
+    cleanup() {
+        this.listenerCleanups.forEach(removeListener => removeListener());
+        this.listenerCleanups = [];
+        
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+        this.renderedItems.clear();
+        this.selectedKeys.clear();
+        this.rowPools = { item: [], skeleton: [], header: [] };
+        this.hoveredItem = null;
+        this.stickyHeader = null;
+        this.stickyLayer = null;
+        this.newItemsIndicator = null;
+        
+        if (this.dataSource) {
+            this.dataSource.cleanup();
+        }
+    }
+}
+
+/**
+ * Virtual Grid
+ * Windows both rows and columns, for wide data tables and wrapping thumbnail grids
+ */
+class VirtualGrid {
+    /**
+     * @param {Object} options - Grid options
+     * @param {Element} options.container - Scrollable container
+     * @param {number} options.rowCount - Number of rows, header rows included
+     * @param {number} options.columnCount - Number of columns, frozen columns included
+     * @param {number} options.itemCount - Wrapping mode: flat item count laid out in as many
+     *     columns as fit the container (rowCount and columnCount are then derived)
+     * @param {number|Function} options.rowHeight - Row height, or (rowIndex) => height
+     * @param {number|Function} options.columnWidth - Column width, or (columnIndex) => width
+     * @param {boolean} options.measureColumns - Size columns from their rendered cells
+     * @param {number} options.headerRowCount - Leading rows that stay pinned while scrolling down
+     * @param {number} options.frozenColumnCount - Leading columns that stay pinned while scrolling across
+     * @param {number} options.overscanRows - Extra rows rendered below the viewport
+     * @param {number} options.overscanColumns - Extra columns rendered right of the viewport
+     * @param {Function} options.renderCell - ({ row, column, index, header, frozen }, recycledEl) => Element
+     */
+    constructor(options = {}) {
+        this.container = options.container;
+        this.itemCount = options.itemCount ?? null;
+        this.rowCount = options.rowCount || 0;
+        this.columnCount = options.columnCount || 1;
+        this.rowHeight = options.rowHeight || 40;
+        this.columnWidth = options.columnWidth || 120;
+        this.measureColumns = options.measureColumns || false;
+        this.overscanRows = options.overscanRows ?? 2;
+        this.overscanColumns = options.overscanColumns ?? 1;
+        
+        // Pinned rows and columns make no sense once items wrap
+        const wraps = this.itemCount !== null;
+        this.headerRowCount = wraps ? 0 : (options.headerRowCount || 0);
+        this.frozenColumnCount = wraps ? 0 : (options.frozenColumnCount || 0);
+        
+        this.renderCell = options.renderCell || ((cell, recycledEl) => {
+            return this.renderDefaultCell(cell, recycledEl);
+        });
+        
+        // Row and column offsets share the prefix-sum index used for variable-height rows
+        this.rowIndex = new ItemHeightIndex();
+        this.columnIndex = new ItemHeightIndex();
+        this.measuredColumnWidths = new Map();
+        
         this.scrollTop = 0;
-        this.startIndex = 0;
-        this.endIndex = 0;
+        this.scrollLeft = 0;
+        this.startRow = 0;
+        this.endRow = 0;
+        this.startColumn = 0;
+        this.endColumn = 0;
+        
+        this.panes = {};
+        this.lastRenderStats = { created: 0, recycled: 0, reused: 0 };
+        this.listenerCleanups = [];
         
         this.init();
     }
     
     /**
-     * Initialize virtual scroller
+     * Initialize virtual grid
      */
     init() {
         try {
-            this.generateData();
             this.setupContainer();
+            this.updateLayout();
+            this.updateVisibleRange();
             this.render();
             this.setupEventListeners();
         } catch (error) {
-            console.error('❌ Error initializing virtual scroller:', error);
+            console.error('❌ Error initializing virtual grid:', error);
         }
     }
     
     /**
-     * Generate sample data
+     * Build the four panes: pinned corner, sticky header, frozen columns and scrolling body
      */
-    generateData() {
-        this.data = Array.from({ length: 10000 }, (_, index) => ({
-            id: index + 1,
-            title: `Item ${index + 1}`,
-            description: `This is item number ${index + 1} in the virtual list`,
-            timestamp: new Date(Date.now() - Math.random() * 1000000000).toISOString(),
-            status: index % 3 === 0 ? 'active' : index % 3 === 1 ? 'pending' : 'completed'
-        }));
+    setupContainer() {
+        if (!this.container) {
+            console.warn('⚠️ Virtual grid container not found');
+            return;
+        }
+        
+        this.container.style.overflow = 'auto';
+        this.container.style.position = 'relative';
+        
+        const createPane = (styles) => {
+            const element = document.createElement('div');
+            Object.assign(element.style, styles);
+            return { element, cells: new Map(), pool: [] };
+        };
+        
+        // Sticky panes keep the normal flow, so the header pushes the body down by its own height
+        this.panes.header = createPane({ position: 'sticky', top: '0', zIndex: '2', background: 'white' });
+        this.panes.corner = createPane({ position: 'sticky', left: '0', zIndex: '3', background: 'white' });
+        this.panes.body = createPane({ position: 'relative' });
+        this.panes.frozen = createPane({ position: 'sticky', left: '0', zIndex: '1', background: 'white' });
+        
+        this.panes.header.element.appendChild(this.panes.corner.element);
+        this.panes.body.element.appendChild(this.panes.frozen.element);
+        this.container.appendChild(this.panes.header.element);
+        this.container.appendChild(this.panes.body.element);
     }
     
     /**
-     * Setup container for virtual scrolling
+     * Get a row height
+     * @param {number} row - Row index
+     * @returns {number} Height in pixels
      */
-    setupContainer() {
-        try {
-            if (!this.container) {
-                console.warn('⚠️ Virtual container not found');
-                return;
-            }
-            
-            // Set container height
-            this.container.style.height = `${this.visibleItems * this.itemHeight}px`;
-            this.container.style.overflow = 'auto';
-            this.container.style.position = 'relative';
-            
-            // Create content wrapper
-            this.contentWrapper = document.createElement('div');
-            this.contentWrapper.style.height = `${this.data.length * this.itemHeight}px`;
-            this.contentWrapper.style.position = 'relative';
-            
-            this.container.appendChild(this.contentWrapper);
-        } catch (error) {
-            console.error('❌ Error setting up virtual scroll container:', error);
+    getRowHeight(row) {
+        return typeof this.rowHeight === 'function' ? this.rowHeight(row) : this.rowHeight;
+    }
+    
+    /**
+     * Get a column width, preferring a measured width
+     * @param {number} column - Column index
+     * @returns {number} Width in pixels
+     */
+    getColumnWidth(column) {
+        const measured = this.measuredColumnWidths.get(column);
+        if (measured !== undefined) return measured;
+        return typeof this.columnWidth === 'function' ? this.columnWidth(column) : this.columnWidth;
+    }
+    
+    /**
+     * Get the height of the pinned header rows
+     * @returns {number} Height in pixels
+     */
+    getHeaderHeight() {
+        return this.rowIndex.getOffset(this.headerRowCount);
+    }
+    
+    /**
+     * Get the width of the frozen columns
+     * @returns {number} Width in pixels
+     */
+    getFrozenWidth() {
+        return this.columnIndex.getOffset(this.frozenColumnCount);
+    }
+    
+    /**
+     * Rebuild row and column offsets and size the panes
+     * @returns {boolean} Whether the wrapping column count changed
+     */
+    updateLayout() {
+        let columnsChanged = false;
+        
+        if (this.itemCount !== null) {
+            const viewportWidth = this.container?.clientWidth || this.getColumnWidth(0);
+            const columnCount = Math.max(1, Math.floor(viewportWidth / this.getColumnWidth(0)));
+            columnsChanged = columnCount !== this.columnCount;
+            this.columnCount = columnCount;
+            this.rowCount = Math.ceil(this.itemCount / columnCount);
         }
+        
+        this.rowIndex.reset(Array.from({ length: this.rowCount }, (_, row) => this.getRowHeight(row)));
+        this.columnIndex.reset(Array.from({ length: this.columnCount }, (_, column) => this.getColumnWidth(column)));
+        this.sizePanes();
+        
+        return columnsChanged;
+    }
+    
+    /**
+     * Size the panes from the current offsets
+     */
+    sizePanes() {
+        if (!this.panes.body) return;
+        
+        const headerHeight = this.getHeaderHeight();
+        const frozenWidth = this.getFrozenWidth();
+        const totalWidth = this.columnIndex.getTotalHeight();
+        const totalHeight = this.rowIndex.getTotalHeight();
+        
+        Object.assign(this.panes.header.element.style, {
+            display: headerHeight > 0 ? 'block' : 'none',
+            width: `${totalWidth}px`,
+            height: `${headerHeight}px`
+        });
+        Object.assign(this.panes.corner.element.style, {
+            width: `${frozenWidth}px`,
+            height: `${headerHeight}px`
+        });
+        Object.assign(this.panes.body.element.style, {
+            width: `${totalWidth}px`,
+            height: `${totalHeight - headerHeight}px`
+        });
+        Object.assign(this.panes.frozen.element.style, {
+            display: frozenWidth > 0 ? 'block' : 'none',
+            width: `${frozenWidth}px`,
+            height: '100%'
+        });
     }
     
     /**
@@ -75,39 +2755,42 @@ class VirtualScroller {
     setupEventListeners() {
         if (!this.container) return;
         
+        const addEventListenerWithCleanup = window.PerformanceUtils?.addEventListenerWithCleanup ||
+            ((element, event, handler, options) => {
+                element.addEventListener(event, handler, options);
+                return () => element.removeEventListener(event, handler, options);
+            });
+        
         // Throttled scroll handler
         const throttledScroll = window.PerformanceUtils?.throttle((e) => {
-            this.handleScroll(e.target.scrollTop);
-        }, 16) || ((e) => { this.handleScroll(e.target.scrollTop); }); // ~60fps
+            this.handleScroll(e.target.scrollTop, e.target.scrollLeft);
+        }, 16) || ((e) => { this.handleScroll(e.target.scrollTop, e.target.scrollLeft); }); // ~60fps
         
-        this.container.addEventListener('scroll', throttledScroll, { passive: true });
+        this.listenerCleanups.push(
+            addEventListenerWithCleanup(this.container, 'scroll', throttledScroll, { passive: true })
+        );
         
         // Resize handler
         const throttledResize = window.PerformanceUtils?.throttle(() => {
             this.handleResize();
         }, 100) || (() => { this.handleResize(); });
         
-        window.addEventListener('resize', throttledResize, { passive: true });
+        this.listenerCleanups.push(
+            addEventListenerWithCleanup(window, 'resize', throttledResize, { passive: true })
+        );
     }
     
     /**
      * Handle scroll events
-     * @param {number} scrollTop - Current scroll position
+     * @param {number} scrollTop - Current vertical scroll position
+     * @param {number} scrollLeft - Current horizontal scroll position
      */
-    handleScroll(scrollTop) {
+    handleScroll(scrollTop, scrollLeft = this.scrollLeft) {
         this.scrollTop = scrollTop;
-        
-        // Calculate visible range
-        const newStartIndex = Math.floor(scrollTop / this.itemHeight);
-        const newEndIndex = Math.min(
-            newStartIndex + this.visibleItems + 2, // Add buffer
-            this.data.length
-        );
+        this.scrollLeft = scrollLeft;
         
         // Only re-render if visible range changed
-        if (newStartIndex !== this.startIndex || newEndIndex !== this.endIndex) {
-            this.startIndex = newStartIndex;
-            this.endIndex = newEndIndex;
+        if (this.updateVisibleRange()) {
             this.render();
         }
     }
@@ -118,251 +2801,328 @@ class VirtualScroller {
     handleResize() {
         if (!this.container) return;
         
-        // Recalculate visible items based on container height
-        const containerHeight = this.container.clientHeight;
-        this.visibleItems = Math.ceil(containerHeight / this.itemHeight);
+        // A wrapping grid re-flows, which changes what every row/column key points at
+        if (this.updateLayout()) {
+            this.refresh();
+            return;
+        }
         
-        // Re-render with new visible count
+        this.updateVisibleRange();
         this.render();
     }
     
     /**
-     * Render visible items
+     * Recalculate the visible rows and columns from the scroll position
+     * @returns {boolean} Whether the range changed
+     */
+    updateVisibleRange() {
+        // Fall back to a typical viewport while the container is hidden or not laid out yet
+        const viewportHeight = this.container?.clientHeight || 400;
+        const viewportWidth = this.container?.clientWidth || 800;
+        
+        // The pinned header and frozen columns cover the leading part of the viewport
+        const startRow = this.rowCount > this.headerRowCount ?
+            Math.max(this.headerRowCount, this.rowIndex.findIndex(this.scrollTop + this.getHeaderHeight())) :
+            this.rowCount;
+        const endRow = Math.min(
+            this.rowIndex.findIndex(this.scrollTop + viewportHeight) + 1 + this.overscanRows,
+            this.rowCount
+        );
+        const startColumn = this.columnCount > this.frozenColumnCount ?
+            Math.max(this.frozenColumnCount, this.columnIndex.findIndex(this.scrollLeft + this.getFrozenWidth())) :
+            this.columnCount;
+        const endColumn = Math.min(
+            this.columnIndex.findIndex(this.scrollLeft + viewportWidth) + 1 + this.overscanColumns,
+            this.columnCount
+        );
+        
+        const changed = startRow !== this.startRow || endRow !== this.endRow ||
+            startColumn !== this.startColumn || endColumn !== this.endColumn;
+        
+        this.startRow = startRow;
+        this.endRow = Math.max(startRow, endRow);
+        this.startColumn = startColumn;
+        this.endColumn = Math.max(startColumn, endColumn);
+        return changed;
+    }
+    
+    /**
+     * Render visible cells in every pane
      */
     render() {
-        if (!this.contentWrapper) return;
+        if (!this.panes.body) return;
         
         const measurePerformance = window.PerformanceUtils?.measurePerformance || ((name, fn) => fn());
-        const batchDOMUpdates = window.PerformanceUtils?.batchDOMUpdates || ((fn) => fn());
         
-        measurePerformance('Virtual Scroll Render', () => {
-            // Clear existing items
-            this.contentWrapper.innerHTML = '';
+        measurePerformance('Virtual Grid Render', () => {
+            const stats = { created: 0, recycled: 0, reused: 0 };
+            const range = (start, end) => Array.from({ length: Math.max(0, end - start) }, (_, i) => start + i);
             
-            // Create fragment for batch update
-            const fragment = document.createDocumentFragment();
+            const headerRows = range(0, this.headerRowCount);
+            const frozenColumns = range(0, this.frozenColumnCount);
+            const rows = range(this.startRow, this.endRow);
+            const columns = range(this.startColumn, this.endColumn);
             
-            // Render only visible items
-            for (let i = this.startIndex; i < this.endIndex; i++) {
-                const item = this.createItem(this.data[i], i);
-                fragment.appendChild(item);
-            }
+            this.syncPane('corner', headerRows, frozenColumns, stats);
+            this.syncPane('header', headerRows, columns, stats);
+            this.syncPane('frozen', rows, frozenColumns, stats);
+            this.syncPane('body', rows, columns, stats);
             
-            // Batch DOM update
-            batchDOMUpdates(() => {
-                this.contentWrapper.appendChild(fragment);
-            });
+            this.lastRenderStats = stats;
         });
+        
+        if (this.measureColumns) {
+            this.measureColumnWidths();
+        }
     }
     
     /**
-     * Create individual item
-     * @param {Object} itemData - Item data
-     * @param {number} index - Item index
-     * @returns {Element} Item element
+     * Reconcile one pane's cells with the rows and columns it should show
+     * @param {string} paneName - 'corner', 'header', 'frozen' or 'body'
+     * @param {Array<number>} rows - Row indices
+     * @param {Array<number>} columns - Column indices
+     * @param {Object} stats - Render stats to update
      */
-    createItem(itemData, index) {
-        const item = document.createElement('div');
-        item.className = `virtual-item virtual-item-${itemData.status}`;
-        item.style.position = 'absolute';
-        item.style.top = `${index * this.itemHeight}px`;
-        item.style.left = '0';
-        item.style.right = '0';
-        item.style.height = `${this.itemHeight}px`;
-        item.style.padding = '1rem';
-        item.style.borderBottom = '1px solid #e9ecef';
-        item.style.display = 'flex';
-        item.style.alignItems = 'center';
-        item.style.justifyContent = 'space-between';
-        item.style.backgroundColor = 'white';
-        item.style.transition = 'background-color 0.2s ease';
-        
-        // Add hover effect
-        item.addEventListener('mouseenter', () => {
-            item.style.backgroundColor = '#f8f9fa';
-        }, { passive: true });
-        
-        item.addEventListener('mouseleave', () => {
-            item.style.backgroundColor = 'white';
-        }, { passive: true });
-        
-        // Create item content
-        const content = document.createElement('div');
-        content.style.flex = '1';
-        
-        const title = document.createElement('div');
-        title.style.fontWeight = 'bold';
-        title.style.marginBottom = '0.25rem';
-        title.textContent = itemData.title;
-        
-        const description = document.createElement('div');
-        description.style.fontSize = '0.875rem';
-        description.style.color = '#6c757d';
-        description.textContent = itemData.description;
-        
-        const meta = document.createElement('div');
-        meta.style.textAlign = 'right';
-        meta.style.fontSize = '0.75rem';
-        meta.style.color = '#6c757d';
+    syncPane(paneName, rows, columns, stats) {
+        const pane = this.panes[paneName];
+        const nextCells = new Map();
+        const incoming = [];
         
-        const timestamp = document.createElement('div');
-        timestamp.textContent = new Date(itemData.timestamp).toLocaleDateString();
+        rows.forEach(row => {
+            columns.forEach(column => {
+                const index = row * this.columnCount + column;
+                if (this.itemCount !== null && index >= this.itemCount) return;
+                
+                const key = `${row}:${column}`;
+                const existing = pane.cells.get(key);
+                
+                if (existing) {
+                    pane.cells.delete(key);
+                    this.positionCell(existing, row, column, paneName);
+                    nextCells.set(key, existing);
+                    stats.reused++;
+                } else {
+                    incoming.push({ key, row, column, index });
+                }
+            });
+        });
         
-        const status = document.createElement('div');
-        status.textContent = itemData.status;
-        status.style.textTransform = 'capitalize';
-        status.style.color = this.getStatusColor(itemData.status);
+        // Cells that scrolled out of range are recycled for the incoming ones
+        pane.cells.forEach(element => pane.pool.push(element));
         
-        content.appendChild(title);
-        content.appendChild(description);
-        meta.appendChild(timestamp);
-        meta.appendChild(status);
+        const fragment = document.createDocumentFragment();
         
-        item.appendChild(content);
-        item.appendChild(meta);
+        incoming.forEach(({ key, row, column, index }) => {
+            const recycled = pane.pool.pop() || null;
+            const cell = {
+                row,
+                column,
+                index,
+                header: row < this.headerRowCount,
+                frozen: column < this.frozenColumnCount
+            };
+            const element = this.renderCell(cell, recycled);
+            
+            if (recycled && element === recycled) {
+                stats.recycled++;
+            } else {
+                if (recycled) {
+                    recycled.remove();
+                }
+                this.applyCellLayout(element);
+                stats.created++;
+            }
+            
+            this.positionCell(element, row, column, paneName);
+            if (element.parentNode !== pane.element) {
+                fragment.appendChild(element);
+            }
+            nextCells.set(key, element);
+        });
         
-        return item;
+        pane.pool.forEach(element => element.remove());
+        pane.cells = nextCells;
+        pane.element.appendChild(fragment);
     }
     
     /**
-     * Get status color
-     * @param {string} status - Item status
-     * @returns {string} Color value
+     * Apply the positioning styles every cell needs
+     * @param {Element} element - Cell element
      */
-    getStatusColor(status) {
-        switch (status) {
-            case 'active':
-                return '#28a745';
-            case 'pending':
-                return '#ffc107';
-            case 'completed':
-                return '#6c757d';
-            default:
-                return '#6c757d';
-        }
+    applyCellLayout(element) {
+        element.style.position = 'absolute';
+        element.style.boxSizing = 'border-box';
+        element.style.overflow = 'hidden';
     }
     
     /**
-     * Scroll to specific item
-     * @param {number} index - Item index
+     * Place a cell at its row/column offset within its pane
+     * @param {Element} element - Cell element
+     * @param {number} row - Row index
+     * @param {number} column - Column index
+     * @param {string} paneName - Pane the cell lives in
      */
-    scrollToItem(index) {
-        if (!this.container || index < 0 || index >= this.data.length) return;
+    positionCell(element, row, column, paneName) {
+        // Body and frozen panes start below the header, so their rows are offset by its height
+        const inHeader = paneName === 'header' || paneName === 'corner';
+        const top = this.rowIndex.getOffset(row) - (inHeader ? 0 : this.getHeaderHeight());
+        const left = this.columnIndex.getOffset(column);
         
-        const scrollTop = index * this.itemHeight;
-        this.container.scrollTo({
-            top: scrollTop,
-            behavior: 'smooth'
+        // Unmeasured columns render at their natural width so they can be measured
+        const width = this.measureColumns && !this.measuredColumnWidths.has(column) ?
+            'auto' : `${this.columnIndex.getHeight(column)}px`;
+        
+        const styles = {
+            top: `${top}px`,
+            left: `${left}px`,
+            width,
+            height: `${this.rowIndex.getHeight(row)}px`
+        };
+        
+        Object.keys(styles).forEach(property => {
+            if (element.style[property] !== styles[property]) {
+                element.style[property] = styles[property];
+            }
         });
     }
     
     /**
-     * Search and highlight items
-     * @param {string} query - Search query
+     * Measure the natural width of newly rendered columns and lock it in
      */
-    searchItems(query) {
-        if (!query.trim()) {
-            this.render();
-            return;
-        }
+    measureColumnWidths() {
+        const widths = new Map();
         
-        const filteredData = this.data.filter(item =>
-            item.title.toLowerCase().includes(query.toLowerCase()) ||
-            item.description.toLowerCase().includes(query.toLowerCase())
-        );
+        // Read every width first so the whole pass costs a single layout
+        Object.values(this.panes).forEach(pane => {
+            pane.cells.forEach((element, key) => {
+                const column = Number(key.split(':')[1]);
+                if (this.measuredColumnWidths.has(column)) return;
+                widths.set(column, Math.max(widths.get(column) || 0, element.offsetWidth));
+            });
+        });
+        
+        let changed = false;
+        widths.forEach((width, column) => {
+            if (width > 0) {
+                this.measuredColumnWidths.set(column, width);
+                changed = true;
+            }
+        });
         
-        // Update data temporarily for search results
-        const originalData = this.data;
-        this.data = filteredData;
+        if (!changed) return;
         
-        // Re-render with filtered data
-        this.render();
+        this.columnIndex.reset(Array.from({ length: this.columnCount }, (_, column) => this.getColumnWidth(column)));
+        this.sizePanes();
+        Object.entries(this.panes).forEach(([paneName, pane]) => {
+            pane.cells.forEach((element, key) => {
+                const [row, column] = key.split(':').map(Number);
+                this.positionCell(element, row, column, paneName);
+            });
+        });
         
-        // Restore original data after a delay
-        setTimeout(() => {
-            this.data = originalData;
-        }, 5000);
+        // Narrower columns than estimated can expose unrendered space on the right
+        if (this.updateVisibleRange()) {
+            this.render();
+        }
     }
     
     /**
-     * Get scroll statistics
-     * @returns {Object} Scroll statistics
+     * Default cell renderer
+     * @param {Object} cell - Cell descriptor
+     * @param {Element|null} recycledEl - Cell element to reuse, if any
+     * @returns {Element} Cell element
      */
-    getScrollStats() {
-        return {
-            totalItems: this.data.length,
-            visibleItems: this.endIndex - this.startIndex,
-            scrollTop: this.scrollTop,
-            startIndex: this.startIndex,
-            endIndex: this.endIndex,
-            scrollPercentage: (this.scrollTop / (this.data.length * this.itemHeight)) * 100
-        };
+    renderDefaultCell(cell, recycledEl) {
+        const element = recycledEl || document.createElement('div');
+        element.className = `virtual-grid-cell${cell.header ? ' virtual-grid-header' : ''}${cell.frozen ? ' virtual-grid-frozen' : ''}`;
+        
+        if (this.itemCount !== null) {
+            element.textContent = `Item ${cell.index + 1}`;
+        } else if (cell.header) {
+            element.textContent = `Column ${cell.column + 1}`;
+        } else {
+            element.textContent = `R${cell.row + 1} C${cell.column + 1}`;
+        }
+        return element;
     }
     
     /**
-     * Update item data
-     * @param {number} index - Item index
-     * @param {Object} newData - New item data
+     * Change the grid dimensions and re-render every cell
+     * @param {Object} counts - { rowCount, columnCount, itemCount }
      */
-    updateItem(index, newData) {
-        if (index >= 0 && index < this.data.length) {
-            this.data[index] = { ...this.data[index], ...newData };
-            
-            // Re-render if item is currently visible
-            if (index >= this.startIndex && index < this.endIndex) {
-                this.render();
-            }
-        }
+    setCounts({ rowCount, columnCount, itemCount } = {}) {
+        if (rowCount !== undefined) this.rowCount = rowCount;
+        if (columnCount !== undefined) this.columnCount = columnCount;
+        if (itemCount !== undefined) this.itemCount = itemCount;
+        
+        this.updateLayout();
+        this.refresh();
     }
     
     /**
-     * Add new item
-     * @param {Object} itemData - New item data
+     * Re-render every cell, recycling the existing nodes
      */
-    addItem(itemData) {
-        const newItem = {
-            id: this.data.length + 1,
-            ...itemData
-        };
-        
-        this.data.push(newItem);
-        
-        // Update content wrapper height
-        if (this.contentWrapper) {
-            this.contentWrapper.style.height = `${this.data.length * this.itemHeight}px`;
-        }
+    refresh() {
+        Object.values(this.panes).forEach(pane => {
+            pane.cells.forEach(element => pane.pool.push(element));
+            pane.cells.clear();
+        });
+        this.updateVisibleRange();
+        this.render();
+    }
+    
+    /**
+     * Scroll a cell to the top-left of the scrolling area
+     * @param {number} row - Row index
+     * @param {number} column - Column index
+     * @param {string} behavior - 'smooth' or 'auto'
+     */
+    scrollToCell(row, column = 0, behavior = 'smooth') {
+        if (!this.container || row < 0 || row >= this.rowCount) return;
         
-        // Re-render if new item would be visible
-        if (this.data.length - 1 >= this.startIndex && this.data.length - 1 < this.endIndex) {
-            this.render();
-        }
+        this.container.scrollTo({
+            top: Math.max(0, this.rowIndex.getOffset(row) - this.getHeaderHeight()),
+            left: Math.max(0, this.columnIndex.getOffset(column) - this.getFrozenWidth()),
+            behavior
+        });
     }
     
     /**
-     * Remove item
-     * @param {number} index - Item index to remove
+     * Get scroll statistics, in the same shape as VirtualScroller plus the horizontal axis
+     * @returns {Object} Scroll statistics
      */
-    removeItem(index) {
-        if (index >= 0 && index < this.data.length) {
-            this.data.splice(index, 1);
-            
-            // Update content wrapper height
-            if (this.contentWrapper) {
-                this.contentWrapper.style.height = `${this.data.length * this.itemHeight}px`;
-            }
-            
-            // Re-render
-            this.render();
-        }
+    getScrollStats() {
+        const totalHeight = this.rowIndex.getTotalHeight();
+        const totalWidth = this.columnIndex.getTotalHeight();
+        
+        return {
+            totalItems: this.itemCount !== null ? this.itemCount : this.rowCount,
+            visibleItems: (this.endRow - this.startRow) * (this.endColumn - this.startColumn),
+            scrollTop: this.scrollTop,
+            startIndex: this.startRow,
+            endIndex: this.endRow,
+            totalHeight,
+            measuredItems: this.measuredColumnWidths.size,
+            scrollPercentage: totalHeight > 0 ? (this.scrollTop / totalHeight) * 100 : 0,
+            totalColumns: this.columnCount,
+            scrollLeft: this.scrollLeft,
+            startColumn: this.startColumn,
+            endColumn: this.endColumn,
+            totalWidth
+        };
     }
     
     /**
-     * Cleanup virtual scroller
+     * Cleanup virtual grid
      */
     cleanup() {
+        this.listenerCleanups.forEach(removeListener => removeListener());
+        this.listenerCleanups = [];
+        
         if (this.container) {
             this.container.innerHTML = '';
         }
+        this.panes = {};
     }
 }
 
@@ -377,6 +3137,9 @@ class VirtualScrollPerformanceMonitor {
             renderCount: 0,
             averageRenderTime: 0,
             totalRenderTime: 0,
+            nodesCreated: 0,
+            nodesRecycled: 0,
+            lastRender: null,
             scrollEvents: 0,
             lastScrollTime: 0
         };
@@ -394,7 +3157,7 @@ class VirtualScrollPerformanceMonitor {
             originalRender();
             const endTime = performance.now();
             
-            this.recordRender(endTime - startTime);
+            this.recordRender(endTime - startTime, this.virtualScroller.lastRenderStats);
         };
         
         // Monitor scroll performance
@@ -409,14 +3172,24 @@ class VirtualScrollPerformanceMonitor {
     /**
      * Record render performance
      * @param {number} renderTime - Render time in milliseconds
+     * @param {Object} renderStats - Rows created, recycled and reused by the render
      */
-    recordRender(renderTime) {
+    recordRender(renderTime, renderStats = { created: 0, recycled: 0, reused: 0 }) {
         this.metrics.renderCount++;
         this.metrics.totalRenderTime += renderTime;
         this.metrics.averageRenderTime = this.metrics.totalRenderTime / this.metrics.renderCount;
+        this.metrics.nodesCreated += renderStats.created;
+        this.metrics.nodesRecycled += renderStats.recycled;
+        this.metrics.lastRender = {
+            renderTime,
+            nodesCreated: renderStats.created,
+            nodesRecycled: renderStats.recycled,
+            nodesReused: renderStats.reused
+        };
         
         if (renderTime > 16) { // Longer than one frame
-            console.warn('Slow virtual scroll render:', renderTime.toFixed(2) + 'ms');
+            console.warn('Slow virtual scroll render:', renderTime.toFixed(2) + 'ms',
+                `(${renderStats.created} created, ${renderStats.recycled} recycled)`);
         }
     }
     
@@ -427,6 +3200,8 @@ class VirtualScrollPerformanceMonitor {
     getMetrics() {
         return {
             ...this.metrics,
+            averageNodesCreated: this.metrics.renderCount > 0 ?
+                this.metrics.nodesCreated / this.metrics.renderCount : 0,
             scrollStats: this.virtualScroller.getScrollStats()
         };
     }
@@ -456,7 +3231,10 @@ document.addEventListener('DOMContentLoaded', () => {
         // Check if the container exists before initializing
         const container = document.getElementById('virtual-container');
         if (container) {
-            window.virtualScroller = new VirtualScroller();
+            window.virtualScroller = new VirtualScroller({
+                container,
+                data: generateSampleItems(10000)
+            });
             window.virtualScrollPerformanceMonitor = new VirtualScrollPerformanceMonitor(window.virtualScroller);
             console.log('✅ Virtual scrolling initialized successfully');
         } else {